@@ -9,12 +9,15 @@
  * WHAT THIS SCRIPT DOES:
  * 1. Manages authentication with WarehouseMeals (OAuth flow)
  * 2. Coordinates receipt syncing between Costco and WarehouseMeals
- * 3. Stores ONLY the WarehouseMeals API token (never Costco credentials)
+ * 3. Stores the WarehouseMeals API token and a list of already-synced
+ *    receipt barcodes (never Costco credentials)
+ * 4. Runs an opt-in daily or weekly sync while a Costco tab is open
+ * 5. Imports receipt files exported by the extension, without costco.com
  *
  * WHAT THIS SCRIPT DOES NOT DO:
  * - Store or access Costco passwords or credentials
  * - Send Costco data anywhere except WarehouseMeals
- * - Run in the background when not actively syncing
+ * - Run in the background when not actively syncing (unless auto-sync is on)
  */
 
 // ============================================================
@@ -24,6 +27,29 @@
 const CONFIG = {
   warehouseMealsUrl: 'https://warehousemeals.com',
   fetchTimeoutMs: 15000,
+  defaultSyncDays: 90,
+  costcoListWindowDays: 180,
+  backfillMaxDays: 10 * 365,
+  uploadBatchSize: 25,
+  uploadMaxAttempts: 4,
+  uploadRetryBaseMs: 2000,
+  syncHistoryLimit: 20,
+  autoSyncAlarm: 'autoSync',
+  uploadQueueAlarm: 'uploadQueueRetry',
+  uploadQueueRetryMinutes: 15,
+  costcoMinIntervalMs: 250,
+  costcoStartIntervalMs: 1000,
+  costcoMaxIntervalMs: 30000,
+  costcoHealthyStreak: 5,
+  costcoMaxAttempts: 4,
+  costcoRetryBaseMs: 2000,
+  costcoDetailBatchSize: 10,
+  costcoHomeUrl: 'https://www.costco.com/',
+  costcoTabLoadTimeoutMs: 30000,
+  costcoPortWaitMs: 5000,
+  costcoLoginPollMs: 5000,
+  costcoMaxReloginWaits: 3,
+  costcoLoginWaitMs: 10 * 60 * 1000,
 };
 
 /**
@@ -47,6 +73,7 @@ async function getApiUrl() {
 
 let syncState = {
   inProgress: false,
+  cancelRequested: false,
   progress: null, // e.g. { current: 3, total: 10, phase: 'fetching' }
 };
 
@@ -54,6 +81,8 @@ let syncState = {
 // Utilities
 // ============================================================
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Delays execution for the specified number of milliseconds.
  */
@@ -62,21 +91,77 @@ function delay(ms) {
 }
 
 /**
- * Broadcasts a progress update to any open popup.
+ * Formats a Date as YYYY-MM-DD.
+ */
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Adds a number of days (possibly negative) to a YYYY-MM-DD date.
+ */
+function addDays(isoDate, days) {
+  return toIsoDate(new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS));
+}
+
+/**
+ * Broadcasts a progress update to any open popup, and mirrors it on the
+ * toolbar badge so it stays visible with the popup closed.
  */
 function broadcastProgress(progress) {
   syncState.progress = progress;
+  showProgressBadge(progress);
   chrome.runtime.sendMessage({ type: 'syncProgress', progress }).catch(() => {
     // Popup may not be open - that's fine
   });
 }
 
+/**
+ * Converts a Costco API value to a number, or null if it's missing or not numeric.
+ */
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Whether a Costco receipt (list entry or details) is from a gas station.
+ */
+function isFuelReceipt(receipt) {
+  return receipt.documentType === 'FuelReceipts';
+}
+
 /**
  * Filters receipt data to only include fields expected by WarehouseMeals API.
  * This ensures we don't accidentally send extra data from Costco's API.
+ *
+ * Fuel receipts are marked with `receiptType: 'fuel'` and carry their pump
+ * lines in a typed `fuel` section instead of `itemArray`, so gasoline never
+ * shows up as a product in the meal catalog. Refunds are marked with
+ * `receiptType: 'return'` and list their items under `returns`, each with
+ * the barcode of the purchase it was matched to (see linkReturnsToPurchases).
+ *
+ * Instant savings lines are folded into the items they discount, which
+ * gain `discountAmount` and `netAmount` alongside their gross `amount`
+ * (see applyDiscountLines).
+ *
+ * Online orders from costco.com are marked with `orderType: 'online'` and
+ * their `orderNumber`; their `transactionBarcode` is `online:<orderNumber>`.
+ * Warehouse receipts have `orderType: 'warehouse'`.
+ *
+ * `region` and `currency` come from the Costco site the receipt was fetched
+ * from (set by the content script).
  */
 function filterReceiptData(receipt) {
-  return {
+  const refund = isRefundReceipt(receipt);
+  const fuel = !refund && isFuelReceipt(receipt);
+
+  const data = {
+    receiptType: refund ? 'return' : (fuel ? 'fuel' : 'warehouse'),
+    orderType: isOnlineOrder(receipt) ? 'online' : 'warehouse',
+    region: receipt.region,
+    currency: receipt.currency,
     transactionBarcode: receipt.transactionBarcode,
     transactionDateTime: receipt.transactionDateTime,
     warehouseName: receipt.warehouseName,
@@ -86,15 +171,49 @@ function filterReceiptData(receipt) {
     total: receipt.total,
     instantSavings: receipt.instantSavings,
     totalItemCount: receipt.totalItemCount,
-    itemArray: (receipt.itemArray || []).map((item) => ({
+    itemArray: [],
+  };
+
+  if (isOnlineOrder(receipt)) {
+    data.orderNumber = receipt.orderNumber;
+  }
+
+  if (!fuel) {
+    const { items, unappliedDiscounts } = applyDiscountLines(receipt, (item) => ({
       itemNumber: item.itemNumber,
       itemDescription01: item.itemDescription01,
       itemDescription02: item.itemDescription02,
       amount: item.amount,
       unit: item.unit,
       itemUnitPriceAmount: item.itemUnitPriceAmount,
-    })),
-  };
+      ...(refund && { originalTransactionBarcode: item.originalTransactionBarcode ?? null }),
+    }));
+
+    if (refund) {
+      data.returns = items;
+    } else {
+      data.itemArray = items;
+    }
+    if (unappliedDiscounts.length > 0) {
+      data.unappliedDiscounts = unappliedDiscounts;
+    }
+  }
+
+  if (fuel) {
+    data.fuel = (receipt.itemArray || []).map((item) => ({
+      itemNumber: item.itemNumber,
+      description: item.itemDescription01 || null,
+      grade: item.fuelGradeDescription || null,
+      gradeCode: item.fuelGradeCode ?? null,
+      quantity: toNumberOrNull(item.fuelUnitQuantity), // Gallons in the US
+      unitOfMeasure: item.fuelUomCode || null,
+      pricePerUnit: toNumberOrNull(item.fuelUnitPriceAmount ?? item.itemUnitPriceAmount),
+      amount: toNumberOrNull(item.amount),
+      pump: toNumberOrNull(item.fuelPumpNumber),
+    }));
+  }
+
+  return data;
 }
 
 // ============================================================
@@ -103,7 +222,7 @@ function filterReceiptData(receipt) {
 
 /**
  * Reads data from extension storage.
- * We only store the WarehouseMeals API token here.
+ * We only store the WarehouseMeals API token and sync bookkeeping here.
  */
 async function getStorage(keys) {
   return chrome.storage.local.get(keys);
@@ -116,6 +235,43 @@ async function setStorage(data) {
   return chrome.storage.local.set(data);
 }
 
+// ============================================================
+// Sync Settings
+// ============================================================
+
+const SYNC_SETTING_DEFAULTS = {
+  includeFuelReceipts: false,
+  includeOnlineOrders: false,
+  reviewBeforeUpload: false,
+  notifyOnCompletion: false,
+};
+
+/**
+ * Returns the user's sync settings, filled in with defaults.
+ */
+async function getSyncSettings() {
+  const { syncSettings } = await getStorage(['syncSettings']);
+  return { ...SYNC_SETTING_DEFAULTS, ...syncSettings };
+}
+
+/**
+ * Updates one or more sync settings. Only known boolean settings are accepted.
+ */
+async function updateSyncSettings(changes) {
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (!(key in SYNC_SETTING_DEFAULTS)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    if (typeof value !== 'boolean') {
+      throw new Error(`Setting ${key} must be true or false`);
+    }
+  }
+
+  const settings = { ...(await getSyncSettings()), ...changes };
+  await setStorage({ syncSettings: settings });
+  return { settings };
+}
+
 // ============================================================
 // WarehouseMeals Authentication
 // ============================================================
@@ -173,7 +329,18 @@ async function authenticateWithWarehouseMeals() {
  * Removes the WarehouseMeals API token, effectively logging out.
  */
 async function disconnectFromWarehouseMeals() {
-  await chrome.storage.local.remove(['warehouseMealsToken']);
+  // Sync bookkeeping belongs to the disconnected account, so it goes too
+  await chrome.storage.local.remove([
+    'warehouseMealsToken',
+    'syncedReceipts',
+    'excludedReceipts',
+    'lastSuccessfulSyncAt',
+    'lastSyncOutcome',
+    'syncCheckpoint',
+    'syncHistory',
+  ]);
+  await clearFetchedReceipts();
+  await clearUploadQueue();
   return { success: true };
 }
 
@@ -187,6 +354,17 @@ class NetworkError extends Error {
   }
 }
 
+/**
+ * Error for a non-OK response from the WarehouseMeals API, carrying the HTTP status.
+ */
+class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
 /**
  * Makes an authenticated request to the WarehouseMeals API.
  * Retries once on 401 before clearing the token.
@@ -268,22 +446,37 @@ async function validateToken() {
 // Costco Tab Communication
 // ============================================================
 
+// Costco sites the extension works on (see COSTCO_REGIONS in
+// content/costco.js). Must match the manifest's host permissions.
+const COSTCO_SITE_URLS = ['https://www.costco.com/*'];
+
 /**
- * Finds an open tab with costco.com loaded.
- * Returns the tab object or null if no Costco tab is open.
+ * Error reported by the content script. `code` says what went wrong (e.g.
+ * 'COSTCO_AUTH' when the session is missing or expired, 'COSTCO_RATE_LIMITED'
+ * for a 429, 'COSTCO_TAB_GONE' if the tab closed before answering) and is
+ * null for failures the content script didn't classify.
  */
-async function findCostcoTab() {
-  const tabs = await chrome.tabs.query({ url: 'https://www.costco.com/*' });
-  return tabs[0] || null;
+class CostcoError extends Error {
+  constructor(message, code = null, retryAfterMs = null) {
+    super(message);
+    this.name = 'CostcoError';
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
 }
 
-/**
- * Sends a message to the content script running on costco.com.
- * The content script handles all Costco API communication.
- */
 // Store active content script ports by tab ID
 const contentPorts = new Map();
 
+// Rejecters for requests waiting on each port, so they fail fast if the tab goes away
+const pendingRequests = new Map();
+
+// The tab Costco requests go to, kept while its port stays connected
+let activeCostcoTabId = null;
+
+// Fixture loading for each connected tab, awaited before its first request
+const fixtureInjections = new Map();
+
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name !== 'costco') return;
 
@@ -291,233 +484,2915 @@ chrome.runtime.onConnect.addListener((port) => {
   if (!tabId) return;
 
   contentPorts.set(tabId, port);
+  pendingRequests.set(port, new Map());
+  trackFixtureInjection(tabId);
 
+  // The tab closed, reloaded or navigated away: fail whatever it was
+  // working on so the next attempt can pick another tab
   port.onDisconnect.addListener(() => {
-    contentPorts.delete(tabId);
+    if (contentPorts.get(tabId) === port) {
+      contentPorts.delete(tabId);
+      fixtureInjections.delete(tabId);
+    }
+    if (activeCostcoTabId === tabId) {
+      activeCostcoTabId = null;
+    }
+    for (const reject of pendingRequests.get(port).values()) {
+      reject(new CostcoError('The Costco tab was closed or navigated away.', 'COSTCO_TAB_GONE'));
+    }
+    pendingRequests.delete(port);
   });
 });
 
-async function messageContentScript(message) {
-  const tab = await findCostcoTab();
+/**
+ * Whether a WarehouseMeals URL points at this machine, like the stub server
+ * in tools/stub-server.js.
+ */
+function isLocalUrl(url) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+  } catch (err) {
+    return false;
+  }
+}
 
-  if (!tab) {
-    throw new Error('Please open costco.com in a browser tab');
+// The scenarios recorded in content/fixtures.js
+const FIXTURE_SCENARIOS = ['demo', 'errors'];
+
+/**
+ * Returns the fixture mode scenario, or null if fixture mode is off.
+ * Fixture mode is refused unless uploads go to a WarehouseMeals stand-in on
+ * this machine, so sample receipts can never reach a real account.
+ * content/costco.js applies the same rule. A scenario the fixtures don't
+ * have is reported as `unknown` rather than quietly replaced.
+ *
+ * @returns {Promise<{scenario: string|null, refused: boolean, unknown: string|null}>}
+ */
+async function getFixtureMode() {
+  const { costcoFixtureMode, warehouseMealsUrlOverride } = await getStorage(['costcoFixtureMode', 'warehouseMealsUrlOverride']);
+  if (!costcoFixtureMode) {
+    return { scenario: null, refused: false, unknown: null };
+  }
+  if (!isLocalUrl(warehouseMealsUrlOverride)) {
+    return { scenario: null, refused: true, unknown: null };
+  }
+  return FIXTURE_SCENARIOS.includes(costcoFixtureMode)
+    ? { scenario: costcoFixtureMode, refused: false, unknown: null }
+    : { scenario: null, refused: false, unknown: String(costcoFixtureMode) };
+}
+
+/**
+ * Loads the recorded Costco responses (content/fixtures.js) into a tab if
+ * fixture mode is on. They aren't a declared content script, so the
+ * fixtures stay out of every page unless a developer asks for them.
+ *
+ * @throws {CostcoError} If the scenario is unknown or this build doesn't include the fixtures
+ */
+async function injectFixtures(tabId) {
+  const { scenario, unknown } = await getFixtureMode();
+  if (unknown) {
+    throw new CostcoError(`Fixture mode "${unknown}" is not a known scenario. Use one of: ${FIXTURE_SCENARIOS.join(', ')}.`, 'COSTCO_FIXTURES');
+  }
+  if (!scenario) return;
+
+  try {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['content/fixtures.js'] });
+  } catch (err) {
+    throw new CostcoError(`Fixture mode is on, but the fixtures could not be loaded: ${err.message}`, 'COSTCO_FIXTURES');
+  }
+}
+
+/**
+ * Starts loading the fixtures into a connected tab and remembers the
+ * attempt, so requests to the tab wait for it (and fail if it failed).
+ */
+function trackFixtureInjection(tabId) {
+  const injection = injectFixtures(tabId);
+  injection.catch((err) => console.error(err));
+  fixtureInjections.set(tabId, injection);
+}
+
+// Fixture mode turned on (or allowed) while Costco tabs are already connected
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.costcoFixtureMode || changes.warehouseMealsUrlOverride)) {
+    for (const tabId of contentPorts.keys()) {
+      trackFixtureInjection(tabId);
+    }
   }
+});
+
+/**
+ * Finds the open Costco tabs, those with a connected content script first
+ * and the most recently used first within each group.
+ */
+async function findCostcoTabs() {
+  const tabs = await chrome.tabs.query({ url: COSTCO_SITE_URLS });
+  return tabs.sort((a, b) =>
+    contentPorts.has(b.id) - contentPorts.has(a.id) || (b.lastAccessed || 0) - (a.lastAccessed || 0)
+  );
+}
+
+/**
+ * Finds an open tab with a Costco site loaded, preferring one the
+ * extension can talk to. Returns the tab object or null if none is open.
+ */
+async function findCostcoTab() {
+  return (await findCostcoTabs())[0] || null;
+}
+
+/**
+ * Sends a message to the content script in one tab and waits for its answer.
+ *
+ * @throws {CostcoError} If the content script reports an error or the tab goes away
+ */
+async function sendToTab(tabId, message) {
+  await fixtureInjections.get(tabId);
 
-  const port = contentPorts.get(tab.id);
+  const port = contentPorts.get(tabId);
   if (!port) {
-    throw new Error('Could not connect to costco.com. Please refresh the page.');
+    throw new CostcoError('The Costco tab was closed or navigated away.', 'COSTCO_TAB_GONE');
   }
 
   return new Promise((resolve, reject) => {
     const id = Math.random().toString(36).slice(2);
+    const pending = pendingRequests.get(port);
 
     const listener = (response) => {
       if (response.id !== id) return;
       port.onMessage.removeListener(listener);
+      pending.delete(id);
+      if (response.drift) {
+        recordSchemaDrift(response.drift);
+      }
       if (response.error) {
-        reject(new Error(response.error));
+        reject(new CostcoError(response.error, response.code, response.retryAfterMs));
       } else {
         resolve(response.result);
       }
     };
 
+    pending.set(id, (err) => {
+      port.onMessage.removeListener(listener);
+      reject(err);
+    });
     port.onMessage.addListener(listener);
     port.postMessage({ ...message, id });
   });
 }
 
 /**
- * Checks if the user is logged into Costco by asking the content script.
+ * Picks the tab to send Costco requests to. The current tab is kept while
+ * it stays connected; otherwise the first connected tab that is logged in
+ * wins, falling back to any connected tab so the error makes sense.
+ *
+ * @returns {Promise<number>} The tab ID
+ * @throws {CostcoError} COSTCO_NO_TAB if no Costco tab is open or none has
+ *   a connected content script
  */
-async function isCostcoLoggedIn() {
+async function selectCostcoTab() {
+  if (activeCostcoTabId !== null && contentPorts.has(activeCostcoTabId)) {
+    return activeCostcoTabId;
+  }
+
+  const tabs = await findCostcoTabs();
+  if (tabs.length === 0) {
+    throw new CostcoError('Please open costco.com in a browser tab', 'COSTCO_NO_TAB');
+  }
+
+  const connected = tabs.filter((tab) => contentPorts.has(tab.id));
+  if (connected.length === 0) {
+    throw new CostcoError('Could not connect to the Costco tab. Please refresh the page.', 'COSTCO_NO_TAB');
+  }
+
+  for (const tab of connected) {
+    try {
+      const { loggedIn } = await sendToTab(tab.id, { action: 'checkCostcoLogin' });
+      if (loggedIn) {
+        activeCostcoTabId = tab.id;
+        return tab.id;
+      }
+    } catch (err) {
+      // The tab went away while we asked - try the next one
+    }
+  }
+
+  return connected[0].id;
+}
+
+/**
+ * Sends a message to the content script running on costco.com.
+ * The content script handles all Costco API communication.
+ *
+ * @throws {CostcoError} If the content script reports an error
+ */
+async function messageContentScript(message) {
+  const tabId = await selectCostcoTab();
+  return sendToTab(tabId, message);
+}
+
+/**
+ * Asks the content script whether the user is logged into Costco and
+ * when their session expires (`expiresAt` is null if the token doesn't say).
+ * `sessionId` changes whenever the user signs in again.
+ */
+async function getCostcoSession() {
   try {
     const response = await messageContentScript({ action: 'checkCostcoLogin' });
-    return response?.loggedIn || false;
+    return {
+      loggedIn: response?.loggedIn || false,
+      sessionId: response?.sessionId ?? null,
+      expiresAt: response?.expiresAt || null,
+      expiresInMs: response?.expiresInMs ?? null,
+    };
   } catch (err) {
-    return false;
+    return { loggedIn: false, sessionId: null, expiresAt: null, expiresInMs: null };
   }
 }
 
-// ============================================================
-// Receipt Syncing
-// ============================================================
+/**
+ * Checks if the user is logged into Costco by asking the content script.
+ */
+async function isCostcoLoggedIn() {
+  return (await getCostcoSession()).loggedIn;
+}
 
 /**
- * Fetches receipts from Costco via the content script.
+ * Whether an error means Costco rejected or no longer has the user's session.
  */
-async function fetchCostcoReceipts(startDate, endDate) {
-  return messageContentScript({
-    action: 'fetchCostcoReceipts',
-    startDate,
-    endDate,
-  });
+function isCostcoAuthError(err) {
+  return err instanceof CostcoError && err.code === 'COSTCO_AUTH';
 }
 
 /**
- * Fetches details for a single receipt via the content script.
+ * Whether an error means there is no Costco tab left to send requests to.
  */
-async function fetchCostcoReceiptDetails(barcode) {
-  return messageContentScript({
-    action: 'fetchCostcoReceiptDetails',
-    barcode,
-  });
+function isCostcoTabError(err) {
+  return err instanceof CostcoError && err.code === 'COSTCO_NO_TAB';
 }
 
 /**
- * Sends receipt data to the WarehouseMeals API.
+ * Pauses a sync until the user signs back into Costco, polling the
+ * content script. Gives up after `CONFIG.costcoLoginWaitMs`.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.rejectedSessionId] - Session Costco already
+ *   rejected. Costco can reject a token before its `exp`, so it still looks
+ *   signed in; only a different session counts as signing in again.
+ * @returns {Promise<boolean>} True once logged in again, false if the wait
+ *   timed out or the sync was cancelled
  */
-async function sendReceiptsToWarehouseMeals(receipts) {
-  const apiUrl = await getApiUrl();
-  const response = await authenticatedFetch(`${apiUrl}/api/receipts/import`, {
-    method: 'POST',
-    body: JSON.stringify({ receipts }),
-  });
+async function waitForCostcoLogin({ rejectedSessionId = null } = {}) {
+  const deadline = Date.now() + CONFIG.costcoLoginWaitMs;
 
-  if (!response.ok) {
-    // Try to parse as JSON for validation errors
-    const contentType = response.headers.get('content-type');
-    if (contentType?.includes('application/json')) {
-      try {
-        const json = await response.json();
-        // Laravel validation error format
-        if (response.status === 422 && json.message) {
-          throw new Error(`Validation failed: ${json.message}`);
-        }
-        throw new Error(json.message || `Server error: ${response.status}`);
-      } catch (e) {
-        if (e.message.startsWith('Validation failed:') || e.message.startsWith('Server error:')) {
-          throw e;
-        }
-      }
-    }
-    throw new Error(`Server error: ${response.status}`);
+  while (Date.now() < deadline) {
+    if (syncState.cancelRequested) return false;
+    await delay(CONFIG.costcoLoginPollMs);
+    if (syncState.cancelRequested) return false;
+
+    const { loggedIn, sessionId } = await getCostcoSession();
+    if (loggedIn && (rejectedSessionId === null || sessionId !== rejectedSessionId)) return true;
   }
 
-  return response.json();
+  return false;
 }
 
 /**
- * Main sync function: fetches receipts from Costco and sends them to WarehouseMeals.
+ * Polls until a tab's content script has connected.
  *
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Promise<boolean>} Whether it connected in time
  */
-async function syncReceipts(startDate, endDate) {
-  if (syncState.inProgress) {
-    throw new Error('A sync is already in progress. Please wait for it to finish.');
+async function waitForContentPort(tabId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!contentPorts.has(tabId) && Date.now() < deadline && !syncState.cancelRequested) {
+    await delay(250);
   }
+  return contentPorts.has(tabId);
+}
 
-  syncState.inProgress = true;
-  syncState.progress = null;
-
-  try {
-    // Step 1: Fetch receipt list from Costco
-    broadcastProgress({ phase: 'listing', message: 'Fetching receipt list from Costco...' });
-    const allReceipts = await fetchCostcoReceipts(startDate, endDate);
-
-    // Filter out fuel receipts and refunds before fetching details
-    const receipts = (allReceipts || []).filter(
-      (r) => r.documentType !== 'FuelReceipts' && r.transactionType !== 'Refund'
-    );
-
-    if (receipts.length === 0) {
-      return { success: true, message: 'No receipts found for this date range.', count: 0 };
-    }
+/**
+ * Polls until a tab has finished loading (or the timeout passes).
+ */
+async function waitForTabLoad(tabId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline && !syncState.cancelRequested) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') return;
+    await delay(250);
+  }
+}
 
-    // Step 2: Fetch full details for each receipt (rate limited to 1/sec)
-    const detailedReceipts = [];
-    const failedReceipts = [];
+/**
+ * Makes sure a Costco tab's content script is connected. The declarative
+ * content script doesn't run in tabs that were open before the extension
+ * was installed or updated, so it is injected by hand if it doesn't show up.
+ *
+ * @returns {Promise<boolean>} Whether the content script connected
+ */
+async function connectToCostcoTab(tabId) {
+  await waitForTabLoad(tabId, CONFIG.costcoTabLoadTimeoutMs);
+  if (await waitForContentPort(tabId, CONFIG.costcoPortWaitMs)) return true;
+  if (syncState.cancelRequested) return false;
 
-    for (let i = 0; i < receipts.length; i++) {
-      const receipt = receipts[i];
-      broadcastProgress({
-        phase: 'fetching',
-        current: i + 1,
-        total: receipts.length,
-        message: `Fetching receipt ${i + 1} of ${receipts.length}...`,
-      });
+  await chrome.scripting.executeScript({ target: { tabId }, files: ['content/costco.js'] });
+  return waitForContentPort(tabId, CONFIG.costcoPortWaitMs);
+}
 
-      try {
-        const details = await fetchCostcoReceiptDetails(receipt.transactionBarcode);
-        if (details) {
-          detailedReceipts.push(details);
-        } else {
-          failedReceipts.push(receipt.transactionBarcode);
-        }
-      } catch (err) {
-        console.error(`Failed to fetch receipt ${receipt.transactionBarcode}:`, err);
-        failedReceipts.push(receipt.transactionBarcode);
-      }
+/**
+ * Gets a Costco tab ready before a manual sync: opens costco.com in a
+ * background tab if none is open, connects the content script, and brings
+ * the tab to the front if the user needs to sign in, waiting until they do.
+ * Returns early if the sync is cancelled; the listing step then stops it.
+ *
+ * @throws {Error} If the tab can't be connected or the user doesn't sign in
+ */
+async function ensureCostcoTab() {
+  const tabs = await findCostcoTabs();
+  let tab = tabs.find((t) => contentPorts.has(t.id));
 
-      // Rate limit: wait 1 second between requests (skip after last one)
-      if (i < receipts.length - 1) {
-        await delay(1000);
-      }
+  if (!tab) {
+    if (tabs.length > 0) {
+      tab = tabs[0];
+      broadcastProgress({ phase: 'preparing', message: 'Connecting to the Costco tab...' });
+    } else {
+      broadcastProgress({ phase: 'preparing', message: 'Opening Costco...' });
+      tab = await chrome.tabs.create({ url: CONFIG.costcoHomeUrl, active: false });
     }
 
-    // If all fetches failed, surface the error
-    if (detailedReceipts.length === 0 && failedReceipts.length > 0) {
-      throw new Error(
-        `Failed to fetch details for all ${failedReceipts.length} receipt(s). ` +
-        'Costco may be experiencing issues. Please try again later.'
-      );
+    const connected = await connectToCostcoTab(tab.id);
+    if (syncState.cancelRequested) return;
+    if (!connected) {
+      throw new Error('Could not connect to the Costco tab. Please refresh the page and try again.');
     }
+  }
 
-    // Step 3: Filter to only expected fields and send to WarehouseMeals
-    broadcastProgress({ phase: 'importing', message: 'Sending receipts to WarehouseMeals...' });
-    const filteredReceipts = detailedReceipts.map(filterReceiptData);
-    const result = await sendReceiptsToWarehouseMeals(filteredReceipts);
+  if (await isCostcoLoggedIn()) return;
 
-    // Build a detailed result using the API response
-    return {
-      success: true,
-      imported: result.imported ?? detailedReceipts.length,
-      duplicates: result.duplicates ?? 0,
-      skipped: result.skipped ?? 0,
-      errors: Array.isArray(result.errors) ? result.errors.length : (result.errors ?? 0),
-      fetchFailed: failedReceipts.length,
-    };
-  } finally {
-    syncState.inProgress = false;
-    syncState.progress = null;
-    broadcastProgress(null);
+  // The user has to sign in themselves, so show them the tab
+  const { windowId } = await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(windowId, { focused: true });
+  broadcastProgress({ phase: 'waitingForLogin', message: 'Sign in to Costco in the costco.com tab to continue...' });
+
+  if (!(await waitForCostcoLogin()) && !syncState.cancelRequested) {
+    throw new Error('Timed out waiting for you to sign in to Costco. Sign in, then try again.');
   }
 }
 
 // ============================================================
-// Message Handler
+// Costco Request Scheduling
 // ============================================================
 
+// Error codes worth retrying: rate limiting, server errors, dropped requests
+// and a tab that went away (the retry goes to another Costco tab)
+const RETRYABLE_COSTCO_CODES = ['COSTCO_RATE_LIMITED', 'COSTCO_UNAVAILABLE', 'COSTCO_TIMEOUT', 'COSTCO_NETWORK', 'COSTCO_TAB_GONE'];
+
+// Pacing shared by every Costco request. The interval shrinks while Costco
+// answers normally and doubles whenever it pushes back.
+const costcoPacer = {
+  intervalMs: CONFIG.costcoStartIntervalMs,
+  lastRequestAt: 0,
+  healthyStreak: 0,
+};
+
 /**
- * Handles messages from the popup UI.
+ * Waits for `ms`, returning early if the sync is cancelled.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Ignore our own broadcast messages
-  if (message.type === 'syncProgress') {
-    return false;
+async function delayUnlessCancelled(ms) {
+  const until = Date.now() + ms;
+  while (!syncState.cancelRequested && Date.now() < until) {
+    await delay(Math.min(500, until - Date.now()));
   }
+}
 
-  const handleMessage = async () => {
-    switch (message.action) {
-      // Get current connection status for both services
-      case 'getStatus': {
-        // If a sync is running, return cached state without re-validating
-        if (syncState.inProgress) {
-          const { warehouseMealsToken } = await getStorage(['warehouseMealsToken']);
-          const costcoTab = await findCostcoTab();
+/**
+ * Speeds up after a run of healthy responses.
+ */
+function recordCostcoSuccess() {
+  costcoPacer.healthyStreak++;
+  if (costcoPacer.healthyStreak >= CONFIG.costcoHealthyStreak) {
+    costcoPacer.healthyStreak = 0;
+    costcoPacer.intervalMs = Math.max(CONFIG.costcoMinIntervalMs, Math.round(costcoPacer.intervalMs * 0.75));
+  }
+}
+
+/**
+ * Slows down after Costco pushes back.
+ */
+function recordCostcoPushback() {
+  costcoPacer.healthyStreak = 0;
+  costcoPacer.intervalMs = Math.min(CONFIG.costcoMaxIntervalMs, costcoPacer.intervalMs * 2);
+}
+
+/**
+ * Sends a request to the content script at the current pace, retrying
+ * rate limits, server errors and dropped requests with exponential backoff
+ * (or Costco's Retry-After, if longer).
+ *
+ * @param {Object} message - Message for the content script
+ * @throws {CostcoError} The last error once retries run out, or any error
+ *   that isn't worth retrying
+ */
+async function scheduleCostcoRequest(message) {
+  for (let attempt = 1; ; attempt++) {
+    const wait = costcoPacer.lastRequestAt + costcoPacer.intervalMs - Date.now();
+    if (wait > 0) {
+      await delay(wait);
+    }
+    costcoPacer.lastRequestAt = Date.now();
+
+    try {
+      const result = await messageContentScript(message);
+      recordCostcoSuccess();
+      return result;
+    } catch (err) {
+      if (!(err instanceof CostcoError) || !RETRYABLE_COSTCO_CODES.includes(err.code)) {
+        throw err;
+      }
+      if (attempt >= CONFIG.costcoMaxAttempts || syncState.cancelRequested) {
+        throw err;
+      }
+
+      // A closed tab says nothing about Costco - go straight to another tab
+      if (err.code === 'COSTCO_TAB_GONE') {
+        console.log('[WarehouseMeals] Costco tab went away, retrying in another tab...');
+        continue;
+      }
+
+      recordCostcoPushback();
+
+      const backoffMs = Math.max(CONFIG.costcoRetryBaseMs * 2 ** (attempt - 1), err.retryAfterMs ?? 0);
+      console.log(`[WarehouseMeals] Costco request failed (${err.message}), retrying in ${backoffMs}ms...`);
+      await delayUnlessCancelled(backoffMs);
+      if (syncState.cancelRequested) {
+        throw err;
+      }
+    }
+  }
+}
+
+// ============================================================
+// Costco Schema Drift
+// ============================================================
+
+// Drift the content script reported during the current sync: issues keyed
+// by operation, path and kind, and the latest value-free shape per operation
+let schemaDrift = { issues: new Map(), shapes: {} };
+
+/**
+ * Starts a fresh drift report for a new sync.
+ */
+function resetSchemaDrift() {
+  schemaDrift = { issues: new Map(), shapes: {} };
+}
+
+/**
+ * Adds drift reported with a content script response to the current report.
+ *
+ * @param {Array<{operation: string, issues: Array, shape: Object}>} entries
+ */
+function recordSchemaDrift(entries) {
+  for (const { operation, issues, shape } of entries) {
+    for (const issue of issues) {
+      const key = `${operation} ${issue.path} ${issue.kind}`;
+      const existing = schemaDrift.issues.get(key);
+      if (existing) {
+        existing.count++;
+      } else {
+        schemaDrift.issues.set(key, { operation, ...issue, count: 1 });
+      }
+    }
+    schemaDrift.shapes[operation] = shape;
+  }
+}
+
+/**
+ * Returns the drift report for the current sync, or null if Costco's
+ * responses all looked as expected.
+ */
+function buildDriftReport() {
+  if (schemaDrift.issues.size === 0) return null;
+  return {
+    issues: [...schemaDrift.issues.values()],
+    shapes: schemaDrift.shapes,
+  };
+}
+
+/**
+ * Summarizes the latest drift report for the popup, or null if there is none.
+ */
+async function getDriftSummary() {
+  const { lastDriftReport } = await getStorage(['lastDriftReport']);
+  return lastDriftReport ? { at: lastDriftReport.at, issueCount: lastDriftReport.issues.length } : null;
+}
+
+/**
+ * Keeps the latest drift report so it can be copied into a bug report later.
+ */
+async function saveDriftReport(report) {
+  await setStorage({ lastDriftReport: { at: new Date().toISOString(), ...report } });
+}
+
+/**
+ * Returns everything needed to report a Costco API change: the latest
+ * drift report (field names and types only, never receipt values) plus the
+ * extension version and browser.
+ */
+async function getDiagnostics() {
+  const { lastDriftReport } = await getStorage(['lastDriftReport']);
+  if (!lastDriftReport) {
+    throw new Error('No Costco API changes have been detected.');
+  }
+
+  return {
+    extensionVersion: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    driftReport: lastDriftReport,
+  };
+}
+
+/**
+ * Forgets the latest drift report once the user has dealt with it.
+ */
+async function clearDiagnostics() {
+  await chrome.storage.local.remove(['lastDriftReport']);
+  return { success: true };
+}
+
+// ============================================================
+// Synced Receipt Ledger
+// ============================================================
+
+/**
+ * Returns the local ledger of receipts already imported into WarehouseMeals,
+ * keyed by transaction barcode. Each entry holds the sync time and, for
+ * warehouse purchases, the purchase date and item numbers so later refunds
+ * can be linked back to them. No prices or descriptions are kept.
+ */
+async function getSyncedLedger() {
+  const { syncedReceipts } = await getStorage(['syncedReceipts']);
+  return syncedReceipts || {};
+}
+
+/**
+ * Records receipts in the ledger so later syncs can skip them.
+ *
+ * @param {Array<Object>} receipts - Filtered receipts, or `{ transactionBarcode }`
+ *   stubs for receipts only known by barcode
+ */
+async function markReceiptsSynced(receipts) {
+  if (receipts.length === 0) return;
+
+  const ledger = await getSyncedLedger();
+  const syncedAt = new Date().toISOString();
+  for (const receipt of receipts) {
+    ledger[receipt.transactionBarcode] = receipt.receiptType === 'warehouse'
+      ? { syncedAt, ...toPurchaseRecord(receipt) }
+      : { syncedAt };
+  }
+  await setStorage({ syncedReceipts: ledger });
+}
+
+/**
+ * Returns the receipts the user left out on the review page, keyed by
+ * transaction barcode with the time they were excluded. They are kept apart
+ * from the synced ledger so they can be brought back later.
+ */
+async function getExcludedReceipts() {
+  const { excludedReceipts } = await getStorage(['excludedReceipts']);
+  return excludedReceipts || {};
+}
+
+/**
+ * Records receipts the user chose not to upload, so later syncs skip them
+ * until the exclusions are cleared.
+ */
+async function markReceiptsExcluded(barcodes) {
+  if (barcodes.length === 0) return;
+
+  const excluded = await getExcludedReceipts();
+  const excludedAt = new Date().toISOString();
+  for (const barcode of barcodes) {
+    excluded[barcode] = { excludedAt };
+  }
+  await setStorage({ excludedReceipts: excluded });
+}
+
+/**
+ * Counts the receipts excluded on the review page.
+ */
+async function countExcludedReceipts() {
+  return Object.keys(await getExcludedReceipts()).length;
+}
+
+/**
+ * Drops one receipt's exclusion, e.g. once the user has imported it anyway.
+ */
+async function unmarkReceiptExcluded(barcode) {
+  const excluded = await getExcludedReceipts();
+  if (!(barcode in excluded)) return;
+
+  delete excluded[barcode];
+  await setStorage({ excludedReceipts: excluded });
+}
+
+/**
+ * Forgets every exclusion, so the next sync offers those receipts again.
+ */
+async function clearExcludedReceipts() {
+  await chrome.storage.local.remove(['excludedReceipts']);
+  return { success: true };
+}
+
+/**
+ * Asks WarehouseMeals which of the given barcodes it already has.
+ * Falls back to an empty list if the server can't answer, in which case
+ * only the local ledger is used.
+ */
+async function fetchExistingBarcodes(barcodes) {
+  const apiUrl = await getApiUrl();
+  let response;
+  try {
+    response = await authenticatedFetch(`${apiUrl}/api/receipts/existing`, {
+      method: 'POST',
+      body: JSON.stringify({ barcodes }),
+    });
+  } catch (err) {
+    if (!(err instanceof NetworkError)) throw err;
+    console.warn('[WarehouseMeals] Existing receipt check could not reach the server, using local ledger only');
+    return [];
+  }
+
+  if (!response.ok) {
+    console.warn(`[WarehouseMeals] Existing receipt check failed (${response.status}), using local ledger only`);
+    return [];
+  }
+
+  const json = await response.json();
+  return Array.isArray(json.existing) ? json.existing : [];
+}
+
+/**
+ * Splits a receipt list into receipts WarehouseMeals still needs, a count
+ * of those it already has (checking the local ledger first and the server
+ * second) and a count of those the user excluded on the review page.
+ */
+async function partitionNewReceipts(receipts) {
+  const ledger = await getSyncedLedger();
+  const excluded = await getExcludedReceipts();
+  const previouslyExcluded = receipts.filter((r) => !ledger[r.transactionBarcode] && excluded[r.transactionBarcode]).length;
+  const unknown = receipts.filter((r) => !ledger[r.transactionBarcode] && !excluded[r.transactionBarcode]);
+
+  if (unknown.length === 0) {
+    return { newReceipts: [], alreadySynced: receipts.length - previouslyExcluded, previouslyExcluded };
+  }
+
+  const serverBarcodes = await fetchExistingBarcodes(unknown.map((r) => r.transactionBarcode));
+  const existing = new Set(serverBarcodes);
+  const newReceipts = unknown.filter((r) => !existing.has(r.transactionBarcode));
+
+  // Remember what the server already has so the next sync skips the round trip
+  await markReceiptsSynced(unknown.filter((r) => existing.has(r.transactionBarcode)).map((r) => ({ transactionBarcode: r.transactionBarcode })));
+
+  return { newReceipts, alreadySynced: receipts.length - newReceipts.length - previouslyExcluded, previouslyExcluded };
+}
+
+/**
+ * Works out which uploaded receipts WarehouseMeals accepted.
+ * If the server reports errors without saying which receipts failed,
+ * nothing is recorded so the next sync can try them again.
+ */
+function getAcceptedReceipts(receipts, result) {
+  if (Array.isArray(result.errors)) {
+    const failed = new Set(result.errors.map((e) => e?.transactionBarcode).filter(Boolean));
+    if (failed.size < result.errors.length) return [];
+    return receipts.filter((r) => !failed.has(r.transactionBarcode));
+  }
+
+  return result.errors > 0 ? [] : receipts;
+}
+
+// ============================================================
+// Refunds & Returns
+// ============================================================
+
+/**
+ * Whether a Costco receipt (list entry or details) is a refund.
+ */
+function isRefundReceipt(receipt) {
+  return receipt.transactionType === 'Refund';
+}
+
+/**
+ * Reduces a warehouse receipt to what's needed to match returns against it.
+ */
+function toPurchaseRecord(receipt) {
+  return {
+    transactionBarcode: receipt.transactionBarcode,
+    transactionDateTime: receipt.transactionDateTime,
+    itemNumbers: [...new Set((receipt.itemArray || []).filter((item) => !isDiscountLine(item)).map((item) => item.itemNumber).filter(Boolean))],
+  };
+}
+
+/**
+ * Links each returned item on a refund to the purchase it most likely came
+ * from: the latest purchase in the synced range, on or before the refund,
+ * with the same item number. Candidates are this run's purchases plus
+ * purchases already in the ledger. Unmatched items get a null barcode.
+ *
+ * @param {Object} refund - Refund receipt details from Costco (annotated in place)
+ * @param {Array<Object>} purchases - Purchase records from this run
+ * @param {string} startDate - Start of the synced range (YYYY-MM-DD)
+ */
+async function linkReturnsToPurchases(refund, purchases, startDate) {
+  const ledger = await getSyncedLedger();
+  const candidates = [
+    ...purchases,
+    ...Object.entries(ledger)
+      .filter(([, entry]) => entry.itemNumbers)
+      .map(([transactionBarcode, entry]) => ({ ...entry, transactionBarcode })),
+  ].filter((p) => p.transactionDateTime >= startDate && p.transactionDateTime <= refund.transactionDateTime);
+
+  // Latest purchase first
+  candidates.sort((a, b) => b.transactionDateTime.localeCompare(a.transactionDateTime));
+
+  for (const item of refund.itemArray || []) {
+    const match = candidates.find((p) => p.itemNumbers.includes(item.itemNumber));
+    item.originalTransactionBarcode = match?.transactionBarcode ?? null;
+  }
+}
+
+// ============================================================
+// Instant Savings
+// ============================================================
+
+// Costco prints each instant savings as its own line after the item, with a
+// negative amount (positive on a refund) and the discounted item's number
+// as its description, e.g. "/1593112" - sometimes with a prefix, as in
+// "TPD/1593112".
+const DISCOUNT_LINE_PATTERN = /^[A-Z]*\s*\/\s*(\d+)$/i;
+
+/**
+ * Returns the item number a receipt line discounts, or null if it's an
+ * ordinary item.
+ */
+function getDiscountedItemNumber(line) {
+  const match = DISCOUNT_LINE_PATTERN.exec(String(line.itemDescription01 ?? '').trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a receipt line is an instant savings line rather than an item.
+ */
+function isDiscountLine(line) {
+  return getDiscountedItemNumber(line) !== null;
+}
+
+/**
+ * Works out which item each discount line on a receipt applies to: the
+ * nearest earlier line for the same item number, or failing that the first
+ * later one.
+ *
+ * @param {Array<Object>} lines - A receipt's itemArray from Costco
+ * @returns {Map<number, number|null>} Discount line index to the index of the
+ *   item it discounts, or null if no item on the receipt matches
+ */
+function matchDiscountLines(lines) {
+  const matches = new Map();
+
+  lines.forEach((line, index) => {
+    const itemNumber = getDiscountedItemNumber(line);
+    if (itemNumber === null) return;
+
+    const isDiscounted = (other) => !isDiscountLine(other) && String(other.itemNumber) === itemNumber;
+    let target = lines.findLastIndex((other, i) => i < index && isDiscounted(other));
+    if (target === -1) {
+      target = lines.findIndex((other, i) => i > index && isDiscounted(other));
+    }
+    matches.set(index, target === -1 ? null : target);
+  });
+
+  return matches;
+}
+
+/**
+ * Converts a Costco amount to whole cents, treating a missing amount as zero.
+ */
+function toCents(amount) {
+  return Math.round((toNumberOrNull(amount) ?? 0) * 100);
+}
+
+/**
+ * Totals the savings from matched discount lines per discounted item.
+ *
+ * @returns {Map<number, number>} Item index to its discount in cents
+ */
+function sumDiscountsByItem(lines, matches) {
+  const discountCents = new Map();
+  for (const [index, target] of matches) {
+    if (target !== null) {
+      discountCents.set(target, (discountCents.get(target) ?? 0) - toCents(lines[index].amount));
+    }
+  }
+  return discountCents;
+}
+
+/**
+ * Folds a receipt's discount lines into the items they discount. Each item
+ * keeps its gross `amount` and gains `discountAmount` (the savings, positive
+ * on a purchase and negative on a refund) and `netAmount`. Discount lines
+ * for an item that isn't on the receipt are returned separately rather
+ * than dropped, so the receipt's totals still add up.
+ *
+ * @param {Object} receipt - Receipt details from Costco
+ * @param {function(Object): Object} toItem - Picks the fields to upload from an item line
+ * @returns {{items: Array<Object>, unappliedDiscounts: Array<Object>}}
+ */
+function applyDiscountLines(receipt, toItem) {
+  const lines = receipt.itemArray || [];
+  const matches = matchDiscountLines(lines);
+  const discountCents = sumDiscountsByItem(lines, matches);
+  const unappliedDiscounts = [...matches]
+    .filter(([, target]) => target === null)
+    .map(([index]) => ({
+      itemNumber: lines[index].itemNumber,
+      itemDescription01: lines[index].itemDescription01,
+      amount: lines[index].amount,
+      discountedItemNumber: getDiscountedItemNumber(lines[index]),
+    }));
+
+  const items = [];
+  lines.forEach((line, index) => {
+    if (matches.has(index)) return;
+    const discount = discountCents.get(index) ?? 0;
+    items.push({
+      ...toItem(line),
+      discountAmount: discount / 100,
+      netAmount: toNumberOrNull(line.amount) === null ? null : (toCents(line.amount) - discount) / 100,
+    });
+  });
+
+  checkDiscountTotals(receipt, items, unappliedDiscounts);
+  return { items, unappliedDiscounts };
+}
+
+/**
+ * Logs a warning if a receipt's items don't add up to Costco's totals once
+ * discounts are applied: net amounts (plus any unapplied discounts) should
+ * make the subtotal, and the discounts should make the instant savings.
+ * Online orders list their discounts as an order total rather than as
+ * lines, so only warehouse receipts are checked.
+ */
+function checkDiscountTotals(receipt, items, unappliedDiscounts) {
+  if (isOnlineOrder(receipt)) return;
+
+  const unappliedCents = unappliedDiscounts.reduce((sum, line) => sum + toCents(line.amount), 0);
+  const netCents = items.reduce((sum, item) => sum + toCents(item.netAmount), 0) + unappliedCents;
+  const savingsCents = Math.abs(items.reduce((sum, item) => sum + toCents(item.discountAmount), 0) - unappliedCents);
+
+  const subTotal = toNumberOrNull(receipt.subTotal);
+  if (subTotal !== null && Math.abs(toCents(subTotal)) !== Math.abs(netCents)) {
+    console.warn(`[WarehouseMeals] Items on ${receipt.transactionBarcode} add up to ${netCents / 100}, not the subtotal of ${subTotal}`);
+  }
+
+  const instantSavings = toNumberOrNull(receipt.instantSavings);
+  if (instantSavings !== null && Math.abs(toCents(instantSavings)) !== savingsCents) {
+    console.warn(`[WarehouseMeals] Discounts on ${receipt.transactionBarcode} add up to ${savingsCents / 100}, not the instant savings of ${instantSavings}`);
+  }
+}
+
+// ============================================================
+// Local Database
+// ============================================================
+
+// Full receipt details live in IndexedDB, which unlike chrome.storage has
+// room for years of them: those a sync has fetched but not yet uploaded,
+// and those queued until WarehouseMeals can be reached. Both stores are
+// keyed by transaction barcode.
+const DATABASE_NAME = 'warehouseMeals';
+const DATABASE_VERSION = 2;
+const FETCHED_RECEIPTS_STORE = 'fetchedReceipts';
+const UPLOAD_QUEUE_STORE = 'uploadQueue';
+
+let database = null;
+
+/**
+ * Opens the database, creating any stores it doesn't have yet.
+ */
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        for (const name of [FETCHED_RECEIPTS_STORE, UPLOAD_QUEUE_STORE]) {
+          if (!request.result.objectStoreNames.contains(name)) {
+            request.result.createObjectStore(name, { keyPath: 'transactionBarcode' });
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        database = null;
+        reject(request.error);
+      };
+    });
+  }
+  return database;
+}
+
+/**
+ * Runs `work` against one object store in one transaction and resolves,
+ * once committed, with the result of the request it returns (or the
+ * results of an array of requests).
+ */
+async function withStore(storeName, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(Array.isArray(request)
+      ? request.map((r) => r.result)
+      : request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// ============================================================
+// Sync Checkpoints
+// ============================================================
+
+/**
+ * Sync progress is checkpointed to extension storage after every chunk of
+ * receipts, so a sync can pick up where it stopped if Chrome terminates
+ * the service worker mid-run. The checkpoint holds the receipts still to
+ * fetch, the index of the next one and the barcodes of those fetched but
+ * not yet uploaded; their details wait in the database.
+ */
+async function getCheckpoint() {
+  const { syncCheckpoint } = await getStorage(['syncCheckpoint']);
+  return syncCheckpoint || null;
+}
+
+async function saveCheckpoint(checkpoint) {
+  await setStorage({ syncCheckpoint: checkpoint });
+}
+
+async function clearCheckpoint() {
+  await chrome.storage.local.remove(['syncCheckpoint']);
+  await clearFetchedReceipts();
+}
+
+/**
+ * Stores fetched receipt details until they are uploaded or exported.
+ */
+async function saveFetchedReceipts(receipts) {
+  await withStore(FETCHED_RECEIPTS_STORE, 'readwrite', (store) => {
+    for (const receipt of receipts) {
+      store.put(receipt);
+    }
+  });
+}
+
+/**
+ * Returns the stored details for the given barcodes, in the same order.
+ */
+async function getFetchedReceipts(barcodes) {
+  const receipts = await withStore(FETCHED_RECEIPTS_STORE, 'readonly', (store) =>
+    barcodes.map((barcode) => store.get(barcode)));
+  return receipts.filter(Boolean);
+}
+
+async function removeFetchedReceipts(barcodes) {
+  await withStore(FETCHED_RECEIPTS_STORE, 'readwrite', (store) => {
+    for (const barcode of barcodes) {
+      store.delete(barcode);
+    }
+  });
+}
+
+async function clearFetchedReceipts() {
+  await withStore(FETCHED_RECEIPTS_STORE, 'readwrite', (store) => store.clear());
+}
+
+/**
+ * Throws away an interrupted sync so the next one starts from scratch.
+ */
+async function discardInterruptedSync() {
+  if (syncState.inProgress) {
+    throw new Error('A sync is in progress. Please wait for it to finish.');
+  }
+
+  await clearCheckpoint();
+  return { success: true };
+}
+
+/**
+ * Summarizes an interrupted sync for the popup, or returns null if there is none.
+ */
+async function getInterruptedSync() {
+  const checkpoint = await getCheckpoint();
+  if (!checkpoint) return null;
+
+  return {
+    status: checkpoint.status || 'interrupted', // 'interrupted', 'cancelled' or 'review'
+    purpose: checkpoint.purpose || 'import',
+    fetched: checkpoint.pendingBarcodes.length,
+    current: checkpoint.index,
+    total: checkpoint.receipts.length,
+    startDate: checkpoint.startDate,
+    endDate: checkpoint.endDate,
+    startedAt: checkpoint.startedAt,
+  };
+}
+
+// ============================================================
+// Receipt Syncing
+// ============================================================
+
+/**
+ * Fetches receipts from Costco via the content script.
+ */
+async function fetchCostcoReceipts(startDate, endDate) {
+  return scheduleCostcoRequest({
+    action: 'fetchCostcoReceipts',
+    startDate,
+    endDate,
+  });
+}
+
+/**
+ * Fetches details for a single receipt via the content script.
+ * Fuel receipts also get their pump, grade and quantity fields.
+ */
+async function fetchCostcoReceiptDetails(barcode, { fuel = false } = {}) {
+  return scheduleCostcoRequest({
+    action: 'fetchCostcoReceiptDetails',
+    barcode,
+    fuel,
+  });
+}
+
+/**
+ * Lists costco.com online orders via the content script. Entries are keyed
+ * like receipts, with `transactionBarcode` set to `online:<orderNumber>`.
+ */
+async function fetchCostcoOnlineOrders(startDate, endDate) {
+  return scheduleCostcoRequest({
+    action: 'fetchCostcoOnlineOrders',
+    startDate,
+    endDate,
+  });
+}
+
+/**
+ * Whether a receipt (list entry or details) is a costco.com online order.
+ */
+function isOnlineOrder(receipt) {
+  return receipt.orderType === 'online';
+}
+
+// Cleared when Costco rejects a batched request, so the rest of the
+// session goes straight to one request per receipt
+let costcoBatchingSupported = true;
+
+/**
+ * Fetches details for several receipts (warehouse receipts and online
+ * orders, which are fetched separately).
+ *
+ * @param {Array<Object>} receipts - Receipt list entries
+ * @returns {Promise<Map<string, {details?: Object, error?: string}>>} Result per
+ *   barcode: the details, or why they couldn't be fetched
+ * @throws {CostcoError} If the Costco session is gone or the sync was cancelled
+ */
+async function fetchCostcoReceiptDetailsBatch(receipts) {
+  const online = receipts.filter(isOnlineOrder);
+  const results = await fetchWarehouseReceiptDetails(receipts.filter((r) => !isOnlineOrder(r)));
+
+  // Online orders come from their own API, which takes a list of order numbers
+  if (online.length > 0) {
+    try {
+      const { results: orderResults } = await scheduleCostcoRequest({
+        action: 'fetchCostcoOnlineOrderDetails',
+        orderNumbers: online.map((r) => r.orderNumber),
+      });
+      for (const [key, result] of Object.entries(orderResults)) {
+        results.set(key, result);
+      }
+    } catch (err) {
+      if (isCostcoAuthError(err) || isCostcoTabError(err) || syncState.cancelRequested) {
+        throw err;
+      }
+      for (const receipt of online) {
+        results.set(receipt.transactionBarcode, { error: err.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Fetches details for several warehouse receipts, in one Costco request
+ * when possible. If Costco rejects the batched query, falls back to one
+ * request per receipt.
+ */
+async function fetchWarehouseReceiptDetails(receipts) {
+  if (costcoBatchingSupported && receipts.length > 1) {
+    try {
+      const { results } = await scheduleCostcoRequest({
+        action: 'fetchCostcoReceiptDetailsBatch',
+        receipts: receipts.map((r) => ({ barcode: r.transactionBarcode, fuel: isFuelReceipt(r) })),
+      });
+      return new Map(Object.entries(results));
+    } catch (err) {
+      if (!(err instanceof CostcoError) || err.code !== 'COSTCO_BATCH_REJECTED') {
+        throw err;
+      }
+      console.warn(`[WarehouseMeals] Costco rejected a batched request (${err.message}), fetching receipts one at a time`);
+      costcoBatchingSupported = false;
+    }
+  }
+
+  const results = new Map();
+  for (const receipt of receipts) {
+    try {
+      const details = await fetchCostcoReceiptDetails(receipt.transactionBarcode, { fuel: isFuelReceipt(receipt) });
+      results.set(receipt.transactionBarcode, details ? { details } : { error: 'Not found' });
+    } catch (err) {
+      if (isCostcoAuthError(err) || isCostcoTabError(err) || syncState.cancelRequested) {
+        throw err;
+      }
+      results.set(receipt.transactionBarcode, { error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Sends receipt data to the WarehouseMeals API.
+ *
+ * @throws {ApiError} If the server rejects the import
+ */
+async function sendReceiptsToWarehouseMeals(receipts) {
+  const apiUrl = await getApiUrl();
+  const response = await authenticatedFetch(`${apiUrl}/api/receipts/import`, {
+    method: 'POST',
+    body: JSON.stringify({ receipts }),
+  });
+
+  if (!response.ok) {
+    // Try to parse as JSON for validation errors
+    const contentType = response.headers.get('content-type');
+    if (contentType?.includes('application/json')) {
+      try {
+        const json = await response.json();
+        // Laravel validation error format
+        if (response.status === 422 && json.message) {
+          throw new ApiError(`Validation failed: ${json.message}`, response.status);
+        }
+        throw new ApiError(json.message || `Server error: ${response.status}`, response.status);
+      } catch (e) {
+        if (e instanceof ApiError) {
+          throw e;
+        }
+      }
+    }
+    throw new ApiError(`Server error: ${response.status}`, response.status);
+  }
+
+  return response.json();
+}
+
+/**
+ * Returns the number of receipts to send per import request.
+ * Like the API URL, this can be overridden from the DevTools console:
+ *   chrome.storage.local.set({ uploadBatchSizeOverride: 10 })
+ */
+async function getUploadBatchSize() {
+  const { uploadBatchSizeOverride } = await getStorage(['uploadBatchSizeOverride']);
+  return uploadBatchSizeOverride > 0 ? uploadBatchSizeOverride : CONFIG.uploadBatchSize;
+}
+
+/**
+ * Whether a failed upload is worth retrying: network errors, rate limiting
+ * and server errors. Validation errors will fail the same way every time.
+ */
+function isRetryableUploadError(err) {
+  if (err instanceof NetworkError) return true;
+  return err instanceof ApiError && (err.status === 429 || err.status >= 500);
+}
+
+/**
+ * Sends one batch of receipts, retrying transient failures with exponential backoff.
+ *
+ * @param {Array<Object>} receipts
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - How many times to try in all
+ */
+async function sendBatchWithRetry(receipts, { maxAttempts = CONFIG.uploadMaxAttempts } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendReceiptsToWarehouseMeals(receipts);
+    } catch (err) {
+      if (attempt >= maxAttempts || !isRetryableUploadError(err)) {
+        throw err;
+      }
+      const backoffMs = CONFIG.uploadRetryBaseMs * 2 ** (attempt - 1);
+      console.log(`[WarehouseMeals] Upload failed (${err.message}), retrying in ${backoffMs}ms...`);
+      await delay(backoffMs);
+    }
+  }
+}
+
+/**
+ * Adds the server's counts for an uploaded batch to `totals` and records
+ * the accepted receipts in the ledger.
+ */
+async function recordUploadResult(batch, result, totals) {
+  totals.imported += result.imported ?? batch.length;
+  totals.duplicates += result.duplicates ?? 0;
+  totals.skipped += result.skipped ?? 0;
+  totals.errors += Array.isArray(result.errors) ? result.errors.length : (result.errors ?? 0);
+  await markReceiptsSynced(getAcceptedReceipts(batch, result));
+}
+
+/**
+ * Uploads one batch of filtered receipts and adds the server's counts to
+ * `totals`. If WarehouseMeals is still unreachable after retrying, the
+ * batch goes to the offline upload queue instead of being lost; a batch
+ * the server answers with an error, even a 429 or 5xx that outlasted the
+ * retries, is counted as failed rather than queued, so the queue only
+ * holds receipts that may well go through once the connection is back.
+ * Either way the caller can carry on - one bad batch never costs more than
+ * its own receipts.
+ *
+ * Once a batch in the run has been queued, later batches get a single try
+ * instead of the full backoff.
+ *
+ * @throws {Error} If the WarehouseMeals session is gone - no later batch would succeed
+ */
+async function uploadBatch(batch, totals) {
+  try {
+    const result = await sendBatchWithRetry(batch, { maxAttempts: totals.queued > 0 ? 1 : CONFIG.uploadMaxAttempts });
+    await recordUploadResult(batch, result, totals);
+  } catch (err) {
+    if (!(err instanceof NetworkError || err instanceof ApiError)) {
+      throw err;
+    }
+    if (err instanceof NetworkError) {
+      console.warn(`[WarehouseMeals] Queueing ${batch.length} receipt(s) to upload later:`, err.message);
+      await enqueueUploads(batch);
+      totals.queued = (totals.queued ?? 0) + batch.length;
+      return;
+    }
+    console.error(`Failed to upload a batch of ${batch.length} receipt(s):`, err);
+    totals.uploadFailed += batch.length;
+  }
+}
+
+/**
+ * Uploads the checkpoint's pending receipts in batches, adding to the
+ * running totals and saving progress after each batch.
+ */
+async function uploadPendingReceipts(checkpoint) {
+  const batchSize = await getUploadBatchSize();
+
+  while (checkpoint.pendingBarcodes.length > 0) {
+    const barcodes = checkpoint.pendingBarcodes.slice(0, batchSize);
+    const batch = (await getFetchedReceipts(barcodes)).map(filterReceiptData);
+    if (batch.length > 0) {
+      await uploadBatch(batch, checkpoint.totals);
+    }
+
+    checkpoint.pendingBarcodes = checkpoint.pendingBarcodes.slice(barcodes.length);
+    await saveCheckpoint(checkpoint);
+    await removeFetchedReceipts(barcodes);
+  }
+}
+
+// ============================================================
+// Offline Upload Queue
+// ============================================================
+
+// Receipts that were fetched but couldn't reach WarehouseMeals wait in
+// the database's upload queue until they can be uploaded.
+let uploadQueueFlushing = false;
+
+/**
+ * Adds filtered receipts to the queue and makes sure a retry is scheduled.
+ */
+async function enqueueUploads(receipts) {
+  const queuedAt = new Date().toISOString();
+  await withStore(UPLOAD_QUEUE_STORE, 'readwrite', (store) => {
+    for (const receipt of receipts) {
+      store.put({ transactionBarcode: receipt.transactionBarcode, queuedAt, receipt });
+    }
+  });
+  await chrome.alarms.create(CONFIG.uploadQueueAlarm, { periodInMinutes: CONFIG.uploadQueueRetryMinutes });
+}
+
+/**
+ * Returns the queued receipts, oldest first.
+ */
+async function getQueuedUploads() {
+  const entries = await withStore(UPLOAD_QUEUE_STORE, 'readonly', (store) => store.getAll());
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt)).map((entry) => entry.receipt);
+}
+
+/**
+ * Returns how many receipts are waiting to upload.
+ */
+async function countQueuedUploads() {
+  return withStore(UPLOAD_QUEUE_STORE, 'readonly', (store) => store.count());
+}
+
+/**
+ * Removes receipts from the queue, by barcode.
+ */
+async function removeQueuedUploads(barcodes) {
+  await withStore(UPLOAD_QUEUE_STORE, 'readwrite', (store) => {
+    for (const barcode of barcodes) {
+      store.delete(barcode);
+    }
+  });
+}
+
+/**
+ * Empties the queue and stops retrying it, e.g. when the account the
+ * receipts were meant for is disconnected.
+ */
+async function clearUploadQueue() {
+  await withStore(UPLOAD_QUEUE_STORE, 'readwrite', (store) => store.clear());
+  await chrome.alarms.clear(CONFIG.uploadQueueAlarm);
+}
+
+/**
+ * Tries to upload everything in the queue. Stops at the first batch that
+ * still can't reach WarehouseMeals, leaving it and the rest queued for the
+ * next attempt. Batches the server answers - even with errors - leave the
+ * queue, as retrying them would fail the same way; a flush that sent
+ * anything is recorded in the sync history, so receipts the server turned
+ * down are reported rather than silently dropped.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'manual' (Upload Now) or 'scheduled'
+ *   (the retry alarm, the popup opening or the connection coming back)
+ * @returns {Promise<Object>} Upload counts plus how many receipts are still queued
+ */
+async function flushUploadQueue({ trigger = 'manual' } = {}) {
+  if (uploadQueueFlushing || syncState.inProgress) {
+    return { success: true, busy: true, remaining: await countQueuedUploads() };
+  }
+
+  uploadQueueFlushing = true;
+  const startedAt = Date.now();
+  const totals = { imported: 0, duplicates: 0, skipped: 0, errors: 0, uploadFailed: 0 };
+  const attempted = [];
+
+  try {
+    const receipts = await getQueuedUploads();
+    const batchSize = await getUploadBatchSize();
+
+    for (let i = 0; i < receipts.length; i += batchSize) {
+      const batch = receipts.slice(i, i + batchSize);
+
+      try {
+        const result = await sendReceiptsToWarehouseMeals(batch);
+        await recordUploadResult(batch, result, totals);
+      } catch (err) {
+        if (err instanceof NetworkError) {
+          console.log(`[WarehouseMeals] Upload queue still can't reach WarehouseMeals (${err.message})`);
+          break;
+        }
+        if (!(err instanceof ApiError)) {
+          throw err;
+        }
+        console.error(`Failed to upload ${batch.length} queued receipt(s):`, err);
+        totals.uploadFailed += batch.length;
+      }
+
+      attempted.push(...batch);
+      await removeQueuedUploads(batch.map((r) => r.transactionBarcode));
+    }
+
+    const remaining = await countQueuedUploads();
+    if (remaining === 0) {
+      await chrome.alarms.clear(CONFIG.uploadQueueAlarm);
+    }
+
+    const result = { success: true, ...totals, queued: remaining, remaining };
+    if (attempted.length > 0) {
+      const dates = attempted.map((r) => r.transactionDateTime?.slice(0, 10)).filter(Boolean).sort();
+      await recordSyncOutcome({
+        trigger,
+        purpose: 'queue',
+        status: totals.errors > 0 || totals.uploadFailed > 0 || remaining > 0 ? 'partial' : 'success',
+        result,
+        startDate: dates[0] ?? null,
+        endDate: dates[dates.length - 1] ?? null,
+        startedAt,
+      });
+    }
+
+    return result;
+  } finally {
+    uploadQueueFlushing = false;
+  }
+}
+
+/**
+ * Flushes the queue in the background (when the popup opens or the
+ * connection comes back), logging rather than surfacing failures.
+ */
+function flushUploadQueueQuietly() {
+  countQueuedUploads()
+    .then((count) => (count > 0 ? flushUploadQueue({ trigger: 'scheduled' }) : null))
+    .catch((err) => console.error('[WarehouseMeals] Upload queue flush failed:', err));
+}
+
+self.addEventListener('online', flushUploadQueueQuietly);
+
+/**
+ * Splits a date range into windows no longer than Costco's listing API
+ * handles well, newest first.
+ */
+function splitIntoWindows(startDate, endDate) {
+  const windows = [];
+  for (let windowEnd = endDate; windowEnd >= startDate; windowEnd = addDays(windowEnd, -CONFIG.costcoListWindowDays)) {
+    const windowStart = addDays(windowEnd, -(CONFIG.costcoListWindowDays - 1));
+    windows.push({ startDate: windowStart > startDate ? windowStart : startDate, endDate: windowEnd });
+  }
+  return windows;
+}
+
+/**
+ * Lists receipts on Costco, calling the listing API once per window and
+ * de-duplicating barcodes across windows.
+ *
+ * In backfill mode there is no start date: windows walk back from the end
+ * date as far as CONFIG.backfillMaxDays. Costco's listing doesn't say
+ * whether there are older receipts, and members can have gaps of a year or
+ * more between visits, so empty windows don't end the walk early.
+ *
+ * With `onlineOrders`, each window also lists costco.com online orders, so
+ * both kinds of purchase sync in one run. The online order API is less
+ * proven than the receipt one, so if listing orders fails (other than for
+ * a lost session or tab) the rest of the windows skip them and the
+ * warehouse receipts carry on; the error comes back as `onlineOrdersError`.
+ *
+ * @returns {Promise<{receipts: Array, startDate: string, onlineOrdersError: string|null}|null>}
+ *   The receipts, the earliest date covered and why online orders couldn't
+ *   be listed, or null if the sync was cancelled
+ */
+async function listCostcoReceipts(startDate, endDate, { backfill = false, onlineOrders = false } = {}) {
+  const earliest = backfill ? addDays(endDate, -CONFIG.backfillMaxDays) : startDate;
+  const windows = splitIntoWindows(earliest, endDate);
+  const receiptsByBarcode = new Map();
+  let onlineOrdersError = null;
+
+  for (let i = 0; i < windows.length; i++) {
+    const window = windows[i];
+    broadcastProgress({
+      phase: 'listing',
+      current: i + 1,
+      total: windows.length,
+      message: backfill
+        ? `Fetching receipt list for ${window.startDate} to ${window.endDate}...`
+        : `Fetching receipt list ${i + 1} of ${windows.length}...`,
+    });
+
+    let receipts;
+    try {
+      receipts = (await fetchCostcoReceipts(window.startDate, window.endDate)) || [];
+    } catch (err) {
+      if (syncState.cancelRequested) return null;
+      throw err;
+    }
+    if (syncState.cancelRequested) return null;
+
+    if (onlineOrders && !onlineOrdersError) {
+      try {
+        receipts = receipts.concat((await fetchCostcoOnlineOrders(window.startDate, window.endDate)) || []);
+      } catch (err) {
+        if (syncState.cancelRequested) return null;
+        if (isCostcoAuthError(err) || isCostcoTabError(err) || err.code === 'COSTCO_TAB_GONE') throw err;
+        console.error('[WarehouseMeals] Could not list online orders, syncing warehouse receipts only:', err);
+        onlineOrdersError = err.message;
+      }
+    }
+
+    for (const receipt of receipts) {
+      if (!receiptsByBarcode.has(receipt.transactionBarcode)) {
+        receiptsByBarcode.set(receipt.transactionBarcode, receipt);
+      }
+    }
+  }
+
+  return { receipts: [...receiptsByBarcode.values()], startDate: earliest, onlineOrdersError };
+}
+
+/**
+ * Lists receipts on Costco and works out which ones are new.
+ * Returns a finished result if there is nothing to fetch, otherwise a
+ * fresh checkpoint for `fetchAndImport` to work through.
+ *
+ * @param {Object} run - The run's trigger, purpose and date range; a backfill's start date is filled in here
+ * @param {Object} [options]
+ * @param {boolean} [options.backfill] - List the full receipt history instead of a date range
+ */
+async function prepareSync(run, { backfill = false } = {}) {
+  const { trigger, endDate, purpose } = run;
+  const exporting = purpose === 'export';
+
+  // A new sync replaces any interrupted one
+  await clearCheckpoint();
+
+  // Scheduled syncs only run when a signed-in tab is already open
+  if (trigger === 'manual') {
+    await ensureCostcoTab();
+  }
+
+  const { includeFuelReceipts, includeOnlineOrders, reviewBeforeUpload } = await getSyncSettings();
+
+  // Step 1: Fetch receipt list from Costco, one window at a time
+  const listing = await listCostcoReceipts(run.startDate, endDate, { backfill, onlineOrders: includeOnlineOrders });
+
+  if (!listing) {
+    return { result: { success: true, cancelled: true, fetched: 0 } };
+  }
+
+  // A backfill's start date is as far back as the listing walked
+  const { startDate, onlineOrdersError } = listing;
+  run.startDate = startDate;
+
+  // Filter out fuel receipts unless the user opted in before fetching details
+  const receipts = listing.receipts.filter((r) => includeFuelReceipts || !isFuelReceipt(r));
+
+  if (receipts.length === 0) {
+    const message = onlineOrdersError
+      ? `No receipts found for this date range. Online orders could not be listed: ${onlineOrdersError}`
+      : 'No receipts found for this date range.';
+    return { result: { success: true, message, count: 0, onlineOrdersError } };
+  }
+
+  // Step 2: Skip receipts WarehouseMeals already has (an export wants them all)
+  broadcastProgress({ phase: 'checking', message: 'Checking for new receipts...' });
+  const { newReceipts, alreadySynced, previouslyExcluded } = exporting
+    ? { newReceipts: receipts, alreadySynced: 0, previouslyExcluded: 0 }
+    : await partitionNewReceipts(receipts);
+
+  if (newReceipts.length === 0) {
+    return {
+      result: {
+        success: true,
+        imported: 0,
+        duplicates: 0,
+        skipped: 0,
+        errors: 0,
+        fetchFailed: 0,
+        alreadySynced,
+        previouslyExcluded,
+        onlineOrdersError,
+      },
+    };
+  }
+
+  // Fetch refunds last, so the purchases they return are already known
+  newReceipts.sort((a, b) => isRefundReceipt(a) - isRefundReceipt(b));
+
+  const checkpoint = {
+    trigger,
+    purpose,
+    startDate,
+    endDate,
+    startedAt: new Date().toISOString(),
+    receipts: newReceipts.map((r) => ({
+      transactionBarcode: r.transactionBarcode,
+      documentType: r.documentType,
+      transactionType: r.transactionType,
+      ...(isOnlineOrder(r) && { orderType: r.orderType, orderNumber: r.orderNumber }),
+    })),
+    index: 0,
+    pendingBarcodes: [],
+    purchases: [],
+    fetchedCount: 0,
+    failedReceipts: [],
+    totals: { imported: 0, duplicates: 0, skipped: 0, errors: 0, uploadFailed: 0, queued: 0, excluded: 0 },
+    alreadySynced,
+    previouslyExcluded,
+    onlineOrdersError,
+    review: !exporting && reviewBeforeUpload,
+  };
+  await clearFetchedReceipts();
+  await saveCheckpoint(checkpoint);
+
+  return { checkpoint };
+}
+
+/**
+ * Fetches details for the receipts in a checkpoint, starting at its index,
+ * then sends everything fetched to WarehouseMeals. The checkpoint is saved
+ * after each receipt and cleared once the import succeeds.
+ */
+async function fetchAndImport(checkpoint) {
+  const { receipts, failedReceipts } = checkpoint;
+  const batchSize = await getUploadBatchSize();
+  let reloginWaits = 0;
+
+  // Step 3: Fetch full details for the new receipts, several per Costco
+  // request (paced by scheduleCostcoRequest), uploading to WarehouseMeals
+  // every time a full batch is ready - unless the user reviews receipts
+  // first, in which case everything waits
+  for (let i = checkpoint.index; i < receipts.length; i = checkpoint.index) {
+    // Stop between requests if the user cancelled
+    if (syncState.cancelRequested) {
+      return cancelFetching(checkpoint);
+    }
+
+    const chunk = receipts.slice(i, i + CONFIG.costcoDetailBatchSize);
+    const last = i + chunk.length;
+    broadcastProgress({
+      phase: 'fetching',
+      current: last,
+      total: receipts.length,
+      message: chunk.length === 1
+        ? `Fetching receipt ${last} of ${receipts.length}...`
+        : `Fetching receipts ${i + 1}-${last} of ${receipts.length}...`,
+    });
+
+    let results;
+    try {
+      results = await fetchCostcoReceiptDetailsBatch(chunk);
+    } catch (err) {
+      // An aborted request isn't a failed receipt; it stays unfetched
+      if (syncState.cancelRequested) {
+        return cancelFetching(checkpoint);
+      }
+
+      // The Costco session ran out: wait for the user to sign in again
+      // (with a new token - the rejected one may not have expired yet),
+      // then retry the same receipts
+      if (isCostcoAuthError(err) && reloginWaits < CONFIG.costcoMaxReloginWaits) {
+        reloginWaits++;
+        broadcastProgress({
+          phase: 'waitingForLogin',
+          current: i,
+          total: receipts.length,
+          message: 'Costco signed you out. Sign in again at costco.com to continue...',
+        });
+
+        const { sessionId } = await getCostcoSession();
+        if (await waitForCostcoLogin({ rejectedSessionId: sessionId })) {
+          continue;
+        }
+        if (syncState.cancelRequested) {
+          return cancelFetching(checkpoint);
+        }
+      }
+
+      // Still signed out (or Costco keeps rejecting each new sign-in):
+      // leave the checkpoint so the sync can be resumed after signing in
+      if (isCostcoAuthError(err)) {
+        throw new Error(`Your Costco session expired after ${i} of ${receipts.length} receipts. Sign in at costco.com and click Resume to continue.`);
+      }
+
+      // Every Costco tab is gone; leave the checkpoint so the sync can be resumed
+      if (isCostcoTabError(err)) {
+        throw new Error(`Lost the Costco tab after ${i} of ${receipts.length} receipts. Open costco.com and click Resume to continue.`);
+      }
+
+      console.error(`Failed to fetch receipts ${i + 1}-${last}:`, err);
+      results = new Map(chunk.map((receipt) => [receipt.transactionBarcode, { error: err.message }]));
+    }
+
+    // Handle receipts in list order so refunds see the purchases before them
+    const fetched = [];
+    for (const receipt of chunk) {
+      const { details, error } = results.get(receipt.transactionBarcode) || {};
+      if (details) {
+        if (isRefundReceipt(details)) {
+          await linkReturnsToPurchases(details, checkpoint.purchases, checkpoint.startDate);
+        } else if (!isFuelReceipt(details)) {
+          checkpoint.purchases.push(toPurchaseRecord(details));
+        }
+        fetched.push(details);
+        checkpoint.fetchedCount++;
+      } else {
+        if (error) {
+          console.error(`Failed to fetch receipt ${receipt.transactionBarcode}: ${error}`);
+        }
+        failedReceipts.push(receipt.transactionBarcode);
+      }
+    }
+
+    // Store the details before the checkpoint lists them as pending
+    await saveFetchedReceipts(fetched);
+    checkpoint.pendingBarcodes.push(...fetched.map((details) => details.transactionBarcode));
+    checkpoint.index = last;
+    await saveCheckpoint(checkpoint);
+
+    if (uploadsAsFetched(checkpoint) && checkpoint.pendingBarcodes.length >= batchSize) {
+      broadcastProgress({
+        phase: 'importing',
+        current: last,
+        total: receipts.length,
+        message: `Sending ${checkpoint.pendingBarcodes.length} receipts to WarehouseMeals...`,
+      });
+      await uploadPendingReceipts(checkpoint);
+    }
+  }
+
+  // If all fetches failed, surface the error
+  if (checkpoint.fetchedCount === 0 && failedReceipts.length > 0) {
+    await clearCheckpoint();
+    throw new Error(
+      `Failed to fetch details for all ${failedReceipts.length} receipt(s). ` +
+      'Costco may be experiencing issues. Please try again later.'
+    );
+  }
+
+  return finishFetched(checkpoint);
+}
+
+/**
+ * Whether fetched receipts are uploaded as soon as a batch is ready.
+ * Exports never upload, and reviewed syncs wait for the user.
+ */
+function uploadsAsFetched(checkpoint) {
+  return checkpoint.purpose !== 'export' && !checkpoint.review;
+}
+
+/**
+ * Hands the fetched receipts to the last step: export, review or upload.
+ */
+async function finishFetched(checkpoint) {
+  if (checkpoint.purpose === 'export') {
+    return exportFetched(checkpoint);
+  }
+  if (checkpoint.review) {
+    return awaitReview(checkpoint);
+  }
+  return importFetched(checkpoint);
+}
+
+/**
+ * Marks a checkpoint as cancelled so the user can choose to upload or
+ * discard the fetched receipts that weren't uploaded yet. With none
+ * pending there is nothing to choose. If the user reviews receipts before
+ * upload, what was fetched goes to review instead.
+ */
+async function cancelFetching(checkpoint) {
+  const fetched = checkpoint.pendingBarcodes.length;
+
+  if (fetched === 0) {
+    await clearCheckpoint();
+  } else {
+    checkpoint.status = checkpoint.review ? 'review' : 'cancelled';
+    await saveCheckpoint(checkpoint);
+  }
+
+  return { ...buildSyncResult(checkpoint), cancelled: true, fetched };
+}
+
+/**
+ * Parks fetched receipts until the user has reviewed them.
+ */
+async function awaitReview(checkpoint) {
+  checkpoint.status = 'review';
+  await saveCheckpoint(checkpoint);
+
+  return { ...buildSyncResult(checkpoint), awaitingReview: true, fetched: checkpoint.pendingBarcodes.length };
+}
+
+/**
+ * Sends any receipts still pending to WarehouseMeals and clears the checkpoint.
+ */
+async function importFetched(checkpoint) {
+  // Step 4: Send the last partial batch
+  broadcastProgress({ phase: 'importing', message: 'Sending receipts to WarehouseMeals...' });
+  await uploadPendingReceipts(checkpoint);
+  await clearCheckpoint();
+
+  return buildSyncResult(checkpoint);
+}
+
+/**
+ * Builds the sync result from a checkpoint's totals across all batches.
+ */
+function buildSyncResult(checkpoint) {
+  const { totals } = checkpoint;
+
+  return {
+    success: true,
+    imported: totals.imported,
+    duplicates: totals.duplicates,
+    skipped: totals.skipped,
+    errors: totals.errors,
+    uploadFailed: totals.uploadFailed,
+    queued: totals.queued ?? 0,
+    excluded: totals.excluded ?? 0,
+    fetchFailed: checkpoint.failedReceipts.length,
+    notFetched: checkpoint.receipts.length - checkpoint.index,
+    alreadySynced: checkpoint.alreadySynced,
+    previouslyExcluded: checkpoint.previouslyExcluded ?? 0,
+    onlineOrdersError: checkpoint.onlineOrdersError ?? null,
+  };
+}
+
+/**
+ * Runs one sync at a time, keeping `syncState` and the sync history up to date.
+ *
+ * @param {Object} details - What is being synced, for the history
+ * @param {string} details.trigger - What started the sync ('manual' or 'scheduled')
+ * @param {string} [details.purpose] - 'import' (the default), 'export', 'file' or 'receipt'
+ * @param {string} details.startDate - Start of the synced range
+ * @param {string} details.endDate - End of the synced range
+ * @param {Function} perform - Performs the sync and resolves to its result. It
+ *   receives the run details and may fill in a start date it discovers.
+ */
+async function runExclusiveSync({ trigger, purpose = 'import', startDate, endDate }, perform) {
+  if (syncState.inProgress) {
+    throw new Error('A sync is already in progress. Please wait for it to finish.');
+  }
+
+  syncState.inProgress = true;
+  syncState.cancelRequested = false;
+  syncState.progress = null;
+
+  const run = { trigger, purpose, startDate, endDate, startedAt: Date.now() };
+  resetSchemaDrift();
+
+  try {
+    const result = await perform(run);
+
+    // Costco's responses changed shape: keep the details for a bug report
+    const drift = buildDriftReport();
+    if (drift) {
+      result.drift = drift;
+      await saveDriftReport(drift);
+    }
+
+    await recordSyncSuccess(run, result);
+    return result;
+  } catch (err) {
+    const drift = buildDriftReport();
+    if (drift) {
+      await saveDriftReport(drift);
+    }
+
+    await recordSyncOutcome({ ...run, status: 'error', message: err.message });
+    throw err;
+  } finally {
+    syncState.inProgress = false;
+    syncState.cancelRequested = false;
+    syncState.progress = null;
+    broadcastProgress(null);
+  }
+}
+
+/**
+ * Main sync function: fetches receipts from Costco and sends them to WarehouseMeals.
+ *
+ * @param {string|null} startDate - Start date in YYYY-MM-DD format (ignored when backfilling)
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What started the sync ('manual' or 'scheduled')
+ * @param {boolean} [options.backfill] - Sync the full receipt history up to endDate
+ */
+async function syncReceipts(startDate, endDate, { trigger = 'manual', backfill = false } = {}) {
+  return runExclusiveSync({ trigger, startDate, endDate }, async (run) => {
+    const { result, checkpoint } = await prepareSync(run, { backfill });
+    return result || fetchAndImport(checkpoint);
+  });
+}
+
+/**
+ * Runs the listing and detail phases without uploading anything, then
+ * downloads the receipts as JSON and CSV files.
+ *
+ * @param {string|null} startDate - Start date in YYYY-MM-DD format (ignored when backfilling)
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {boolean} [options.backfill] - Export the full receipt history up to endDate
+ */
+async function exportReceipts(startDate, endDate, { backfill = false } = {}) {
+  return runExclusiveSync({ trigger: 'manual', purpose: 'export', startDate, endDate }, async (run) => {
+    const { result, checkpoint } = await prepareSync(run, { backfill });
+    return result || fetchAndImport(checkpoint);
+  });
+}
+
+/**
+ * Continues an interrupted sync from its checkpoint.
+ */
+async function resumeSync() {
+  const checkpoint = await getCheckpoint();
+  if (!checkpoint || checkpoint.status) {
+    throw new Error('There is no interrupted sync to resume.');
+  }
+
+  return runExclusiveSync(checkpoint, async () => {
+    await ensureCostcoTab();
+    return fetchAndImport(checkpoint);
+  });
+}
+
+/**
+ * Uploads (or, for an export, downloads) the receipts a cancelled sync
+ * fetched before it stopped.
+ */
+async function finishCancelledSync() {
+  const checkpoint = await getCheckpoint();
+  if (checkpoint?.status !== 'cancelled') {
+    throw new Error('There is no cancelled sync to finish.');
+  }
+
+  return runExclusiveSync(checkpoint, () => finishFetched(checkpoint));
+}
+
+/**
+ * Asks a running sync to stop. The detail loop stops between receipts, and
+ * any Costco request in flight is aborted so the stop is immediate.
+ */
+async function cancelSync() {
+  if (!syncState.inProgress) {
+    throw new Error('No sync is running.');
+  }
+
+  syncState.cancelRequested = true;
+  broadcastProgress({ ...syncState.progress, message: 'Cancelling...' });
+
+  try {
+    await messageContentScript({ action: 'abortCostcoRequests' });
+  } catch (err) {
+    // The Costco tab may be gone - the loop still stops before the next receipt
+  }
+
+  return { success: true };
+}
+
+// ============================================================
+// Receipt Export
+// ============================================================
+
+const CSV_COLUMNS = [
+  'Date',
+  'Warehouse',
+  'Barcode',
+  'Type',
+  'Item Number',
+  'Description 1',
+  'Description 2',
+  'Unit',
+  'Amount',
+  'Unit Price',
+  'Discount',
+  'Net Amount',
+  'Currency',
+  'Fuel Grade',
+  'Fuel Quantity',
+  'Fuel Unit',
+];
+
+/**
+ * Quotes a CSV field if it contains a comma, quote or line break.
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flattens filtered receipts into CSV text with one row per line item.
+ * Returned items, fuel lines and discounts that didn't match an item get a
+ * row each too; all but the last are marked by the Type column. Fuel lines
+ * leave the item columns they have no value for blank and fill in the fuel
+ * columns instead, so every column holds one kind of value.
+ */
+function receiptsToCsv(receipts) {
+  const rows = [CSV_COLUMNS];
+
+  for (const receipt of receipts) {
+    const base = [receipt.transactionDateTime, receipt.warehouseName, receipt.transactionBarcode, receipt.receiptType];
+
+    for (const item of [...receipt.itemArray, ...(receipt.returns || [])]) {
+      rows.push([...base, item.itemNumber, item.itemDescription01, item.itemDescription02, item.unit, item.amount, item.itemUnitPriceAmount, item.discountAmount, item.netAmount, receipt.currency, null, null, null]);
+    }
+    for (const line of receipt.fuel || []) {
+      rows.push([...base, line.itemNumber, line.description, null, null, line.amount, line.pricePerUnit, null, line.amount, receipt.currency, line.grade, line.quantity, line.unitOfMeasure]);
+    }
+    for (const line of receipt.unappliedDiscounts || []) {
+      rows.push([...base.slice(0, 3), 'discount', line.itemNumber, line.itemDescription01, null, null, null, null, -line.amount, line.amount, receipt.currency, null, null, null]);
+    }
+  }
+
+  return rows.map((row) => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Blob URLs of downloads still in progress, by download ID
+const blobDownloads = new Map();
+
+// Downloads being started (their Blob URL created but not yet registered
+// above), and any of their IDs that finished before they were registered
+let blobDownloadsStarting = 0;
+const blobDownloadsFinishedEarly = new Set();
+
+let offscreenDocumentCreating = null;
+let offscreenDocumentClosing = null;
+
+/**
+ * Opens the offscreen document that creates Blob URLs for downloads, if it
+ * isn't open already.
+ */
+async function ensureOffscreenDocument() {
+  await offscreenDocumentClosing;
+  if (await chrome.offscreen.hasDocument()) {
+    return;
+  }
+
+  if (!offscreenDocumentCreating) {
+    offscreenDocumentCreating = chrome.offscreen.createDocument({
+      url: 'offscreen/offscreen.html',
+      reasons: [chrome.offscreen.Reason.BLOBS],
+      justification: 'Create Blob URLs for exported receipt files',
+    }).finally(() => {
+      offscreenDocumentCreating = null;
+    });
+  }
+  await offscreenDocumentCreating;
+}
+
+/**
+ * Closes the offscreen document once no download is using or starting
+ * with one of its Blob URLs. Closing it revokes them all.
+ */
+function closeOffscreenDocumentIfIdle() {
+  if (blobDownloads.size > 0 || blobDownloadsStarting > 0 || offscreenDocumentClosing) {
+    return;
+  }
+
+  offscreenDocumentClosing = chrome.offscreen.closeDocument()
+    .catch((err) => console.warn('Could not close the offscreen document:', err))
+    .finally(() => {
+      offscreenDocumentClosing = null;
+    });
+}
+
+/**
+ * Revokes a download's Blob URL in the offscreen document.
+ */
+async function revokeBlobUrl(url) {
+  try {
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeBlobUrl', url });
+  } catch (err) {
+    console.warn('Could not release export download:', err);
+  }
+}
+
+/**
+ * Saves text to the user's Downloads folder. Service workers can't create
+ * object URLs and data URLs are limited to about 2 MB, so the offscreen
+ * document turns the text into a Blob URL, which is released once the
+ * download finishes.
+ */
+async function downloadTextFile(filename, mimeType, text) {
+  blobDownloadsStarting++;
+
+  try {
+    await ensureOffscreenDocument();
+    const { url } = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createBlobUrl', text, mimeType });
+
+    let downloadId;
+    try {
+      downloadId = await chrome.downloads.download({ url, filename });
+    } catch (err) {
+      await revokeBlobUrl(url);
+      throw err;
+    }
+
+    // A small file can finish before its ID comes back
+    if (blobDownloadsFinishedEarly.delete(downloadId)) {
+      await revokeBlobUrl(url);
+    } else {
+      blobDownloads.set(downloadId, url);
+    }
+  } finally {
+    blobDownloadsStarting--;
+    if (blobDownloadsStarting === 0) {
+      blobDownloadsFinishedEarly.clear();
+    }
+    closeOffscreenDocumentIfIdle();
+  }
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+  if (!['complete', 'interrupted'].includes(delta.state?.current)) {
+    return;
+  }
+
+  const url = blobDownloads.get(delta.id);
+  if (!url) {
+    // Possibly one of ours that hasn't been registered yet
+    if (blobDownloadsStarting > 0) {
+      blobDownloadsFinishedEarly.add(delta.id);
+    }
+    return;
+  }
+
+  blobDownloads.delete(delta.id);
+  revokeBlobUrl(url).then(closeOffscreenDocumentIfIdle);
+});
+
+/**
+ * Downloads the fetched receipts as JSON (the same shape that is sent to
+ * WarehouseMeals) and as a flat CSV, then clears the checkpoint.
+ */
+async function exportFetched(checkpoint) {
+  broadcastProgress({ phase: 'exporting', message: 'Saving receipt files...' });
+
+  const receipts = (await getFetchedReceipts(checkpoint.pendingBarcodes)).map(filterReceiptData);
+  const basename = `costco-receipts-${checkpoint.startDate}-to-${checkpoint.endDate}`;
+
+  await downloadTextFile(
+    `${basename}.json`,
+    'application/json',
+    JSON.stringify({ exportedAt: new Date().toISOString(), receipts }, null, 2)
+  );
+  await downloadTextFile(`${basename}.csv`, 'text/csv', receiptsToCsv(receipts));
+  await clearCheckpoint();
+
+  return {
+    success: true,
+    exported: receipts.length,
+    fetchFailed: checkpoint.failedReceipts.length,
+    notFetched: checkpoint.receipts.length - checkpoint.index,
+    onlineOrdersError: checkpoint.onlineOrdersError ?? null,
+  };
+}
+
+// ============================================================
+// Receipt File Import
+// ============================================================
+
+const RECEIPT_TYPES = ['warehouse', 'fuel', 'return'];
+
+// Every field filterReceiptData can produce. Anything else in an imported
+// file is rejected rather than passed on to WarehouseMeals.
+const IMPORT_RECEIPT_FIELDS = [
+  'receiptType', 'orderType', 'orderNumber', 'region', 'currency', 'transactionBarcode', 'transactionDateTime', 'warehouseName', 'warehouseNumber',
+  'subTotal', 'taxes', 'total', 'instantSavings', 'totalItemCount', 'itemArray', 'returns', 'fuel', 'unappliedDiscounts',
+];
+const IMPORT_ITEM_FIELDS = ['itemNumber', 'itemDescription01', 'itemDescription02', 'amount', 'unit', 'itemUnitPriceAmount', 'discountAmount', 'netAmount'];
+const IMPORT_DISCOUNT_FIELDS = ['itemNumber', 'itemDescription01', 'amount', 'discountedItemNumber'];
+const IMPORT_RETURN_FIELDS = [...IMPORT_ITEM_FIELDS, 'originalTransactionBarcode'];
+const IMPORT_FUEL_FIELDS = ['itemNumber', 'description', 'grade', 'gradeCode', 'quantity', 'unitOfMeasure', 'pricePerUnit', 'amount', 'pump'];
+
+/**
+ * Whether a value parsed from JSON is an object (not null or an array).
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks a list of receipt lines (items, returns or fuel) and adds a
+ * message for each problem to `errors`.
+ */
+function validateImportedLines(lines, name, fields, errors) {
+  if (!Array.isArray(lines)) {
+    errors.push(`${name} must be a list`);
+    return;
+  }
+
+  lines.forEach((line, i) => {
+    if (!isPlainObject(line)) {
+      errors.push(`${name}[${i}] is not an object`);
+      return;
+    }
+    const unknown = Object.keys(line).filter((key) => !fields.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${name}[${i}] has unexpected fields: ${unknown.join(', ')}`);
+    }
+    if (line.itemNumber === undefined || line.itemNumber === null || line.itemNumber === '') {
+      errors.push(`${name}[${i}] is missing itemNumber`);
+    }
+    if (line.amount !== null && toNumberOrNull(line.amount) === null) {
+      errors.push(`${name}[${i}] has a non-numeric amount`);
+    }
+  });
+}
+
+/**
+ * Checks that an imported receipt has the shape filterReceiptData produces.
+ *
+ * @returns {Array<string>} Problems found, empty if the receipt is valid
+ */
+function validateImportedReceipt(receipt) {
+  if (!isPlainObject(receipt)) {
+    return ['Not a receipt object'];
+  }
+
+  const errors = [];
+  const unknown = Object.keys(receipt).filter((key) => !IMPORT_RECEIPT_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`Unexpected fields: ${unknown.join(', ')}`);
+  }
+
+  if (!RECEIPT_TYPES.includes(receipt.receiptType)) {
+    errors.push(`receiptType must be one of ${RECEIPT_TYPES.join(', ')}`);
+  }
+  if (!['warehouse', 'online'].includes(receipt.orderType)) {
+    errors.push('orderType must be warehouse or online');
+  }
+  if (receipt.orderType === 'online' && !receipt.orderNumber) {
+    errors.push('Missing orderNumber on an online order');
+  } else if (receipt.orderType !== 'online' && receipt.orderNumber !== undefined) {
+    errors.push('orderNumber is only allowed on online orders');
+  }
+
+  for (const field of ['region', 'currency']) {
+    if (typeof receipt[field] !== 'string' || receipt[field] === '') {
+      errors.push(`Missing ${field}`);
+    }
+  }
+  if (typeof receipt.transactionBarcode !== 'string' || receipt.transactionBarcode.trim() === '') {
+    errors.push('Missing transactionBarcode');
+  }
+  if (typeof receipt.transactionDateTime !== 'string' || Number.isNaN(Date.parse(receipt.transactionDateTime))) {
+    errors.push('Missing or invalid transactionDateTime');
+  }
+  for (const field of ['subTotal', 'taxes', 'total']) {
+    if (toNumberOrNull(receipt[field]) === null) {
+      errors.push(`Missing or non-numeric ${field}`);
+    }
+  }
+
+  validateImportedLines(receipt.itemArray, 'itemArray', IMPORT_ITEM_FIELDS, errors);
+  if (receipt.receiptType === 'return') {
+    validateImportedLines(receipt.returns, 'returns', IMPORT_RETURN_FIELDS, errors);
+  } else if (receipt.returns !== undefined) {
+    errors.push('returns is only allowed on return receipts');
+  }
+  if (receipt.receiptType === 'fuel') {
+    validateImportedLines(receipt.fuel, 'fuel', IMPORT_FUEL_FIELDS, errors);
+  } else if (receipt.fuel !== undefined) {
+    errors.push('fuel is only allowed on fuel receipts');
+  }
+  // Only listed when some instant savings didn't match an item
+  if (receipt.unappliedDiscounts !== undefined) {
+    if (receipt.receiptType === 'fuel') {
+      errors.push('unappliedDiscounts is not allowed on fuel receipts');
+    } else if (Array.isArray(receipt.unappliedDiscounts) && receipt.unappliedDiscounts.length === 0) {
+      errors.push('unappliedDiscounts must not be empty');
+    } else {
+      validateImportedLines(receipt.unappliedDiscounts, 'unappliedDiscounts', IMPORT_DISCOUNT_FIELDS, errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the contents of a receipt file: either an export from this
+ * extension (`{ exportedAt, receipts }`) or a bare list of receipts.
+ *
+ * @returns {{ valid: Array<Object>, invalid: Array<Object> }} Valid receipts, and
+ *   for each invalid entry its position, barcode (if any) and problems
+ */
+function validateReceiptFile(contents) {
+  const receipts = Array.isArray(contents) ? contents : contents?.receipts;
+  if (!Array.isArray(receipts)) {
+    throw new Error('This file has no receipts. Choose a JSON file exported by this extension.');
+  }
+
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  receipts.forEach((receipt, index) => {
+    const errors = validateImportedReceipt(receipt);
+    if (errors.length === 0 && seen.has(receipt.transactionBarcode)) {
+      errors.push('Appears more than once in the file');
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ index, transactionBarcode: receipt?.transactionBarcode ?? null, errors });
+    } else {
+      seen.add(receipt.transactionBarcode);
+      valid.push(receipt);
+    }
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * Summarizes a receipt file for the import page without uploading anything.
+ */
+function checkReceiptFile(contents) {
+  const { valid, invalid } = validateReceiptFile(contents);
+  return { valid: valid.length, invalid };
+}
+
+/**
+ * Uploads the valid receipts from a file to WarehouseMeals in batches,
+ * skipping any that were already synced. No costco.com tab is needed.
+ */
+async function importReceiptFile(contents) {
+  const { valid, invalid } = validateReceiptFile(contents);
+  if (valid.length === 0) {
+    throw new Error('The file has no valid receipts to import.');
+  }
+
+  const dates = valid.map((r) => r.transactionDateTime.slice(0, 10)).sort();
+  const details = { trigger: 'manual', purpose: 'file', startDate: dates[0], endDate: dates[dates.length - 1] };
+
+  return runExclusiveSync(details, async () => {
+    broadcastProgress({ phase: 'checking', message: 'Checking for already-synced receipts...' });
+    const { newReceipts, alreadySynced, previouslyExcluded } = await partitionNewReceipts(valid);
+
+    const batchSize = await getUploadBatchSize();
+    const totals = { imported: 0, duplicates: 0, skipped: 0, errors: 0, uploadFailed: 0, queued: 0 };
+
+    for (let i = 0; i < newReceipts.length; i += batchSize) {
+      const batch = newReceipts.slice(i, i + batchSize);
+      broadcastProgress({ phase: 'importing', current: i, total: newReceipts.length, message: `Uploading ${i + 1}-${i + batch.length} of ${newReceipts.length}...` });
+      await uploadBatch(batch, totals);
+    }
+
+    return { success: true, ...totals, alreadySynced, previouslyExcluded, invalid: invalid.length };
+  });
+}
+
+// ============================================================
+// Receipt Page Import
+// ============================================================
+
+/**
+ * Imports one receipt from the "Sync this receipt" button costco.com adds
+ * to its Orders & Purchases page. The receipt is fetched through the tab
+ * the button was clicked in and uploaded like any synced receipt.
+ *
+ * @param {string} barcode - The receipt's transaction barcode
+ * @param {number} [tabId] - The Costco tab the button was clicked in
+ * @returns {Promise<Object>} The usual sync counts plus `status`: 'imported',
+ *   'alreadySynced', 'skipped' (by WarehouseMeals, or a gas station receipt
+ *   with fuel syncing off), 'queued' or 'failed'
+ */
+async function importSingleReceipt(barcode, tabId) {
+  if (!barcode) {
+    throw new Error('No receipt barcode was given.');
+  }
+
+  return runExclusiveSync({ trigger: 'manual', purpose: 'receipt', startDate: null, endDate: null }, async (run) => {
+    // Fetch through the tab the user is looking at, handing the previous
+    // tab back afterwards. This runs only once no other sync holds the
+    // lock, so a running sync never changes tabs.
+    const previousTabId = activeCostcoTabId;
+    if (tabId !== undefined && contentPorts.has(tabId)) {
+      activeCostcoTabId = tabId;
+    }
+
+    try {
+      return await importFetchedSingleReceipt(barcode, run);
+    } finally {
+      activeCostcoTabId = previousTabId !== null && contentPorts.has(previousTabId) ? previousTabId : null;
+    }
+  });
+}
+
+/**
+ * Fetches one receipt and uploads it, for importSingleReceipt.
+ */
+async function importFetchedSingleReceipt(barcode, run) {
+  const totals = { imported: 0, duplicates: 0, skipped: 0, errors: 0, uploadFailed: 0, queued: 0 };
+
+  // Clicking the button imports the receipt even if it was excluded earlier
+  const { newReceipts, previouslyExcluded } = await partitionNewReceipts([{ transactionBarcode: barcode }]);
+  if (newReceipts.length === 0 && previouslyExcluded === 0) {
+    return { success: true, status: 'alreadySynced', ...totals, alreadySynced: 1 };
+  }
+
+  let details = await fetchCostcoReceiptDetails(barcode);
+  if (!details) {
+    throw new Error('Costco did not return this receipt.');
+  }
+  run.startDate = run.endDate = details.transactionDateTime?.slice(0, 10) ?? null;
+
+  // The fuel fields are only requested once we know it's a gas station receipt
+  if (isFuelReceipt(details)) {
+    const { includeFuelReceipts } = await getSyncSettings();
+    if (!includeFuelReceipts) {
+      return { success: true, status: 'skipped', ...totals, skipped: 1, alreadySynced: 0 };
+    }
+    details = await fetchCostcoReceiptDetails(barcode, { fuel: true });
+    if (!details) {
+      throw new Error('Costco did not return this receipt.');
+    }
+  }
+
+  // With no synced range to stay within, any purchase in the ledger can match
+  if (isRefundReceipt(details)) {
+    await linkReturnsToPurchases(details, [], '');
+  }
+
+  await uploadBatch([filterReceiptData(details)], totals);
+
+  const status = totals.imported > 0 ? 'imported'
+    : totals.duplicates > 0 ? 'alreadySynced'
+      : totals.skipped > 0 ? 'skipped'
+        : totals.queued > 0 ? 'queued' : 'failed';
+  if (previouslyExcluded > 0 && ['imported', 'alreadySynced', 'queued'].includes(status)) {
+    await unmarkReceiptExcluded(barcode);
+  }
+  return { success: true, status, ...totals, alreadySynced: 0 };
+}
+
+// ============================================================
+// Receipt Review
+// ============================================================
+
+/**
+ * Returns the receipts waiting for review, summarized for the review page.
+ * Items keep their position in Costco's `itemArray` so exclusions can be
+ * applied to the raw receipt before it is filtered for upload. Discount
+ * lines aren't listed; their savings show on the item they discount.
+ */
+async function getReviewReceipts() {
+  const checkpoint = await getCheckpoint();
+  if (checkpoint?.status !== 'review') {
+    throw new Error('There are no receipts waiting for review.');
+  }
+
+  const receipts = await getFetchedReceipts(checkpoint.pendingBarcodes);
+
+  return {
+    receipts: receipts.map((receipt) => ({
+      transactionBarcode: receipt.transactionBarcode,
+      transactionDateTime: receipt.transactionDateTime,
+      warehouseName: receipt.warehouseName,
+      total: receipt.total,
+      receiptType: filterReceiptData(receipt).receiptType,
+      orderType: isOnlineOrder(receipt) ? 'online' : 'warehouse',
+      items: summarizeReviewItems(receipt.itemArray || []),
+    })),
+  };
+}
+
+/**
+ * Lists a receipt's items for the review page, with the savings from any
+ * discount lines netted into the item they apply to.
+ */
+function summarizeReviewItems(lines) {
+  const matches = matchDiscountLines(lines);
+  const discounts = sumDiscountsByItem(lines, matches);
+
+  return lines.flatMap((item, index) => (matches.has(index) ? [] : [{
+    index,
+    itemNumber: item.itemNumber,
+    description: [item.itemDescription01, item.itemDescription02].filter(Boolean).join(' '),
+    amount: item.amount,
+    discountAmount: (discounts.get(index) ?? 0) / 100,
+  }]));
+}
+
+/**
+ * Uploads the receipts the user approved on the review page.
+ * Receipts left out entirely are recorded as excluded, so later syncs
+ * don't fetch them again until the user clears the exclusions; single excluded items are dropped
+ * from their receipt before upload, along with their discount lines.
+ *
+ * @param {Array<Object>} decisions - One per approved receipt:
+ *   `{ transactionBarcode, excludedItems: [itemArray indexes] }`
+ */
+async function submitReview(decisions) {
+  const checkpoint = await getCheckpoint();
+  if (checkpoint?.status !== 'review') {
+    throw new Error('There are no receipts waiting for review.');
+  }
+
+  return runExclusiveSync(checkpoint, async () => {
+    const approved = new Map((decisions || []).map((d) => [d.transactionBarcode, new Set(d.excludedItems || [])]));
+    const fetched = await getFetchedReceipts(checkpoint.pendingBarcodes);
+    const excluded = fetched.filter((r) => !approved.has(r.transactionBarcode));
+
+    const reviewed = fetched
+      .filter((r) => approved.has(r.transactionBarcode))
+      .map((receipt) => {
+        const excludedItems = approved.get(receipt.transactionBarcode);
+        const discountTargets = matchDiscountLines(receipt.itemArray || []);
+        return {
+          ...receipt,
+          itemArray: (receipt.itemArray || []).filter((item, index) =>
+            !excludedItems.has(index) && !excludedItems.has(discountTargets.get(index))),
+        };
+      });
+
+    await saveFetchedReceipts(reviewed);
+    await removeFetchedReceipts(excluded.map((r) => r.transactionBarcode));
+    checkpoint.pendingBarcodes = reviewed.map((r) => r.transactionBarcode);
+
+    checkpoint.totals.excluded = (checkpoint.totals.excluded ?? 0) + excluded.length;
+    await markReceiptsExcluded(excluded.map((r) => r.transactionBarcode));
+
+    return importFetched(checkpoint);
+  });
+}
+
+// ============================================================
+// Sync History
+// ============================================================
+
+/**
+ * Records the outcome of a sync attempt: the latest one for the popup's
+ * "last synced" line, and an entry in the capped history of recent runs.
+ *
+ * @param {Object} outcome
+ * @param {string} outcome.trigger - 'manual' or 'scheduled'
+ * @param {string} [outcome.purpose] - What ran: 'import' (the default), 'export', 'file', 'receipt' or 'queue'
+ * @param {string} outcome.status - 'success', 'partial', 'cancelled', 'error' or 'skipped'
+ * @param {string} [outcome.message] - Error or skip reason
+ * @param {Object} [outcome.result] - Counts returned by the sync
+ * @param {string} [outcome.startDate] - Start of the synced range (YYYY-MM-DD)
+ * @param {string} [outcome.endDate] - End of the synced range (YYYY-MM-DD)
+ * @param {number} [outcome.startedAt] - When the run started (ms since epoch)
+ */
+async function recordSyncOutcome(outcome) {
+  const { trigger, status, message = null, result = null, startDate = null, endDate = null, startedAt = null } = outcome;
+  const finishedAt = Date.now();
+  const { syncHistory } = await getStorage(['syncHistory']);
+
+  const entry = {
+    startedAt: new Date(startedAt ?? finishedAt).toISOString(),
+    durationMs: startedAt ? finishedAt - startedAt : 0,
+    startDate,
+    endDate,
+    trigger,
+    purpose: outcome.purpose || 'import',
+    status,
+    counts: result && !result.message ? {
+      imported: result.imported ?? 0,
+      duplicates: result.duplicates ?? 0,
+      skipped: result.skipped ?? 0,
+      errors: result.errors ?? 0,
+      uploadFailed: result.uploadFailed ?? 0,
+      queued: result.queued ?? 0,
+      excluded: result.excluded ?? 0,
+      driftIssues: result.drift?.issues.length ?? 0,
+      exported: result.exported ?? 0,
+      fetchFailed: result.fetchFailed ?? 0,
+      notFetched: result.notFetched ?? 0,
+      invalid: result.invalid ?? 0,
+      alreadySynced: result.alreadySynced ?? 0,
+      previouslyExcluded: result.previouslyExcluded ?? 0,
+      onlineOrdersError: result.onlineOrdersError ?? null,
+    } : null,
+    error: message,
+  };
+
+  await setStorage({
+    lastSyncOutcome: { at: new Date(finishedAt).toISOString(), trigger, status, message, result },
+    syncHistory: [entry, ...(syncHistory || [])].slice(0, CONFIG.syncHistoryLimit),
+  });
+
+  showOutcomeBadge(status);
+  await notifySyncOutcome(entry);
+}
+
+/**
+ * Records a finished sync. A clean run also moves `lastSuccessfulSyncAt`
+ * forward, which is where the next scheduled sync starts - but only if the
+ * run's range reached back to the previous success, so no gap is left behind.
+ */
+async function recordSyncSuccess(run, result) {
+  if (result.cancelled) {
+    await recordSyncOutcome({ ...run, status: 'cancelled', result });
+    return;
+  }
+
+  // The run isn't over until the review is submitted
+  if (result.awaitingReview) {
+    showOutcomeBadge('review');
+    return;
+  }
+
+  // An export doesn't put anything into WarehouseMeals
+  if (run.purpose === 'export') {
+    await recordSyncOutcome({ ...run, status: result.fetchFailed > 0 || result.notFetched > 0 || result.onlineOrdersError ? 'partial' : 'success', result });
+    return;
+  }
+
+  const clean = !(result.errors > 0) && !(result.uploadFailed > 0) && !(result.queued > 0) && !(result.fetchFailed > 0) && !(result.notFetched > 0) && !(result.invalid > 0) && !result.onlineOrdersError;
+  await recordSyncOutcome({ ...run, status: clean ? 'success' : 'partial', result });
+
+  // A file or single-receipt import says nothing about which date range has been synced
+  if (!clean || run.purpose === 'file' || run.purpose === 'receipt') return;
+
+  const { lastSuccessfulSyncAt } = await getStorage(['lastSuccessfulSyncAt']);
+  if (!lastSuccessfulSyncAt || run.startDate <= toIsoDate(new Date(lastSuccessfulSyncAt))) {
+    await setStorage({ lastSuccessfulSyncAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Returns recent sync runs, newest first.
+ */
+async function getSyncHistory() {
+  const { syncHistory } = await getStorage(['syncHistory']);
+  return { history: syncHistory || [] };
+}
+
+// ============================================================
+// Toolbar Badge & Notifications
+// ============================================================
+
+// Badge shown once a run finishes, until the popup is next opened
+const OUTCOME_BADGES = {
+  success: { text: '✓', color: '#1a7f37' },
+  partial: { text: '!', color: '#bf8700' },
+  error: { text: '!', color: '#cf222e' },
+  review: { text: '?', color: '#0969da' },
+};
+
+const PROGRESS_BADGE_COLOR = '#2d6a4f';
+const SYNC_NOTIFICATION_ID = 'syncOutcome';
+
+/**
+ * Shows sync progress on the toolbar badge, e.g. "12/40" while fetching.
+ * Phases without a count show an ellipsis. The end of a run (null) leaves
+ * the badge alone so the outcome badge can replace it.
+ */
+function showProgressBadge(progress) {
+  if (!progress) return;
+
+  const text = progress.total > 0 ? `${progress.current ?? 0}/${progress.total}` : '…';
+  chrome.action.setBadgeBackgroundColor({ color: PROGRESS_BADGE_COLOR }).catch(() => {});
+  chrome.action.setBadgeText({ text }).catch(() => {});
+}
+
+/**
+ * Shows how the last run ended (or that it's waiting for review) on the
+ * toolbar badge. Runs that didn't upload anything (cancelled or skipped)
+ * clear it.
+ */
+function showOutcomeBadge(status) {
+  const badge = OUTCOME_BADGES[status];
+  if (badge) {
+    chrome.action.setBadgeBackgroundColor({ color: badge.color }).catch(() => {});
+  }
+  chrome.action.setBadgeText({ text: badge?.text ?? '' }).catch(() => {});
+}
+
+/**
+ * Clears the outcome badge once the user has seen it in the popup.
+ */
+function clearOutcomeBadge() {
+  if (!syncState.inProgress) {
+    chrome.action.setBadgeText({ text: '' }).catch(() => {});
+  }
+}
+
+/**
+ * Summarizes a history entry's counts for a notification, e.g.
+ * "12 imported, 3 already synced."
+ */
+function summarizeSyncCounts(counts) {
+  const parts = [
+    [counts.imported, 'imported'],
+    [counts.duplicates + counts.alreadySynced, 'already synced'],
+    [counts.previouslyExcluded, 'excluded earlier'],
+    [counts.errors + counts.uploadFailed, 'failed'],
+    [counts.queued, 'waiting to upload'],
+    [counts.fetchFailed, 'could not be read from Costco'],
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+
+  return parts.length > 0 ? `${parts.join(', ')}.` : 'No new receipts to import.';
+}
+
+/**
+ * Shows a desktop notification when a sync into WarehouseMeals finishes,
+ * if the user turned them on. Exports, file imports, single receipts and
+ * cancelled or skipped runs report back where they were started instead.
+ */
+async function notifySyncOutcome(entry) {
+  if (entry.purpose !== 'import' || !['success', 'partial', 'error'].includes(entry.status)) return;
+
+  const { notifyOnCompletion } = await getSyncSettings();
+  if (!notifyOnCompletion) return;
+
+  const what = entry.trigger === 'scheduled' ? 'Auto-sync' : 'Sync';
+  const title = { success: `${what} complete`, partial: `${what} finished with problems`, error: `${what} failed` }[entry.status];
+
+  try {
+    await chrome.notifications.create(SYNC_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title,
+      message: entry.error || (entry.counts ? summarizeSyncCounts(entry.counts) : ''),
+      buttons: [{ title: 'Open WarehouseMeals' }],
+    });
+  } catch (err) {
+    console.error('[WarehouseMeals] Failed to show sync notification:', err);
+  }
+}
+
+/**
+ * Opens WarehouseMeals in a new tab and dismisses the notification.
+ */
+async function openWarehouseMealsFromNotification(notificationId) {
+  if (notificationId !== SYNC_NOTIFICATION_ID) return;
+  await chrome.tabs.create({ url: await getApiUrl() });
+  await chrome.notifications.clear(notificationId);
+}
+
+chrome.notifications.onButtonClicked.addListener(openWarehouseMealsFromNotification);
+chrome.notifications.onClicked.addListener(openWarehouseMealsFromNotification);
+
+// ============================================================
+// Scheduled Auto-Sync
+// ============================================================
+
+const AUTO_SYNC_PERIOD_MINUTES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+};
+
+/**
+ * Creates or clears the auto-sync alarm to match the chosen frequency.
+ *
+ * @param {string} frequency - 'off', 'daily' or 'weekly'
+ */
+async function scheduleAutoSync(frequency) {
+  const periodInMinutes = AUTO_SYNC_PERIOD_MINUTES[frequency];
+
+  await chrome.alarms.clear(CONFIG.autoSyncAlarm);
+  if (periodInMinutes) {
+    await chrome.alarms.create(CONFIG.autoSyncAlarm, { delayInMinutes: periodInMinutes, periodInMinutes });
+  }
+}
+
+/**
+ * Saves the auto-sync frequency and reschedules the alarm.
+ */
+async function setAutoSyncFrequency(frequency) {
+  if (frequency !== 'off' && !AUTO_SYNC_PERIOD_MINUTES[frequency]) {
+    throw new Error(`Unknown auto-sync frequency: ${frequency}`);
+  }
+
+  await setStorage({ autoSyncFrequency: frequency });
+  await scheduleAutoSync(frequency);
+  return { success: true };
+}
+
+/**
+ * Returns the auto-sync setting and the latest sync outcome for the popup.
+ */
+async function getAutoSyncStatus() {
+  const { autoSyncFrequency, lastSuccessfulSyncAt, lastSyncOutcome } = await getStorage([
+    'autoSyncFrequency',
+    'lastSuccessfulSyncAt',
+    'lastSyncOutcome',
+  ]);
+
+  return {
+    frequency: autoSyncFrequency || 'off',
+    lastSuccessfulSyncAt: lastSuccessfulSyncAt || null,
+    lastOutcome: lastSyncOutcome || null,
+  };
+}
+
+/**
+ * Recreates the alarm if it went missing (e.g. after an extension update).
+ */
+async function ensureAutoSyncAlarm() {
+  const { autoSyncFrequency } = await getStorage(['autoSyncFrequency']);
+  if (!AUTO_SYNC_PERIOD_MINUTES[autoSyncFrequency]) return;
+
+  const alarm = await chrome.alarms.get(CONFIG.autoSyncAlarm);
+  if (!alarm) {
+    await scheduleAutoSync(autoSyncFrequency);
+  }
+}
+
+/**
+ * Runs a sync from the alarm. Covers everything since the last successful
+ * sync, and quietly skips when there is no connected, logged-in Costco tab.
+ */
+async function runScheduledSync() {
+  const skip = (message) => {
+    console.log(`[WarehouseMeals] Scheduled sync skipped: ${message}`);
+    return recordSyncOutcome({ trigger: 'scheduled', status: 'skipped', message });
+  };
+
+  if (syncState.inProgress) {
+    return skip('Another sync was already running');
+  }
+
+  const { warehouseMealsToken, lastSuccessfulSyncAt } = await getStorage([
+    'warehouseMealsToken',
+    'lastSuccessfulSyncAt',
+  ]);
+  if (!warehouseMealsToken) {
+    return skip('Not connected to WarehouseMeals');
+  }
+
+  const tab = await findCostcoTab();
+  if (!tab || !contentPorts.has(tab.id)) {
+    return skip('No Costco tab was open');
+  }
+
+  if (!(await isCostcoLoggedIn())) {
+    return skip('Not signed in to Costco');
+  }
+
+  const since = lastSuccessfulSyncAt
+    ? new Date(lastSuccessfulSyncAt)
+    : new Date(Date.now() - CONFIG.defaultSyncDays * DAY_MS);
+
+  try {
+    // Finish an interrupted sync first; the next run picks up from there
+    const checkpoint = await getCheckpoint();
+    if (checkpoint?.status === 'cancelled') {
+      return skip('Waiting for a cancelled sync to be uploaded or discarded');
+    } else if (checkpoint?.status === 'review') {
+      return skip('Waiting for fetched receipts to be reviewed');
+    } else if (checkpoint?.purpose === 'export') {
+      return skip('An unfinished export is waiting to be resumed or discarded');
+    } else if (checkpoint) {
+      await resumeSync();
+    } else {
+      await syncReceipts(toIsoDate(since), toIsoDate(new Date()), { trigger: 'scheduled' });
+    }
+  } catch (err) {
+    console.error('[WarehouseMeals] Scheduled sync failed:', err);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CONFIG.autoSyncAlarm) {
+    runScheduledSync();
+  } else if (alarm.name === CONFIG.uploadQueueAlarm) {
+    flushUploadQueueQuietly();
+  }
+});
+
+chrome.runtime.onStartup.addListener(ensureAutoSyncAlarm);
+chrome.runtime.onInstalled.addListener(ensureAutoSyncAlarm);
+
+// ============================================================
+// Message Handler
+// ============================================================
+
+/**
+ * Reads the date range from a popup sync or export request, defaulting
+ * to the last 90 days. A backfill has no start date.
+ */
+function resolveSyncRange(message) {
+  const endDate = message.endDate || toIsoDate(new Date());
+  if (message.backfill) {
+    return { startDate: null, endDate, backfill: true };
+  }
+
+  const startDate = message.startDate || toIsoDate(new Date(Date.now() - CONFIG.defaultSyncDays * DAY_MS));
+  if (startDate > endDate) {
+    throw new Error('The start date must be on or before the end date.');
+  }
+  return { startDate, endDate, backfill: false };
+}
+
+/**
+ * Handles messages from the popup UI.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Ignore our own broadcast messages
+  if (message.type === 'syncProgress') {
+    return false;
+  }
+
+  const handleMessage = async () => {
+    switch (message.action) {
+      // Get current connection status for both services
+      case 'getStatus': {
+        // If a sync is running, return cached state without re-validating
+        if (syncState.inProgress) {
+          const { warehouseMealsToken } = await getStorage(['warehouseMealsToken']);
+          const costcoTab = await findCostcoTab();
           return {
             warehouseMealsConnected: !!warehouseMealsToken,
             costcoConnected: true, // Must be true if sync started
             hasCostcoTab: !!costcoTab,
             syncInProgress: true,
             syncProgress: syncState.progress,
+            autoSync: await getAutoSyncStatus(),
+            settings: await getSyncSettings(),
+            queuedUploads: await countQueuedUploads(),
           };
         }
 
+        clearOutcomeBadge();
+
         const { warehouseMealsToken } = await getStorage(['warehouseMealsToken']);
         const costcoTab = await findCostcoTab();
-        const costcoLoggedIn = costcoTab ? await isCostcoLoggedIn() : false;
+        const costcoSession = costcoTab ? await getCostcoSession() : { loggedIn: false, expiresAt: null };
 
         // Validate token if we have one
         let warehouseMealsConnected = false;
@@ -529,12 +3404,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           networkError = validation.networkError || false;
         }
 
+        // Opening the popup is a good moment to retry queued uploads
+        if (warehouseMealsConnected) {
+          flushUploadQueueQuietly();
+        }
+
         return {
           warehouseMealsConnected,
-          costcoConnected: costcoLoggedIn,
+          costcoConnected: costcoSession.loggedIn,
+          costcoSessionExpiresAt: costcoSession.expiresAt,
           hasCostcoTab: !!costcoTab,
           networkError,
           syncInProgress: false,
+          interruptedSync: await getInterruptedSync(),
+          autoSync: await getAutoSyncStatus(),
+          settings: await getSyncSettings(),
+          schemaDrift: await getDriftSummary(),
+          queuedUploads: await countQueuedUploads(),
+          excludedReceipts: await countExcludedReceipts(),
+          fixtureMode: await getFixtureMode(),
         };
       }
 
@@ -552,11 +3440,79 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       // Sync receipts from Costco to WarehouseMeals
       case 'syncReceipts': {
-        const endDate = message.endDate || new Date().toISOString().split('T')[0];
-        const startDate = message.startDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-        return syncReceipts(startDate, endDate);
+        const { startDate, endDate, backfill } = resolveSyncRange(message);
+        return syncReceipts(startDate, endDate, { backfill });
+      }
+
+      // Continue a sync that stopped part way through
+      case 'resumeSync':
+        return resumeSync();
+
+      // Stop a running sync
+      case 'cancelSync':
+        return cancelSync();
+
+      // Upload or export what a cancelled sync fetched before it stopped
+      case 'finishCancelledSync':
+        return finishCancelledSync();
+
+      // Fetch receipts from Costco and download them instead of uploading
+      case 'exportReceipts': {
+        const { startDate, endDate, backfill } = resolveSyncRange(message);
+        return exportReceipts(startDate, endDate, { backfill });
       }
 
+      // Check a chosen receipt file without uploading anything
+      case 'checkReceiptFile':
+        return checkReceiptFile(message.contents);
+
+      // Upload the valid receipts from a receipt file
+      case 'importReceiptFile':
+        return importReceiptFile(message.contents);
+
+      // Import one receipt from the button on costco.com's receipts page
+      case 'importSingleReceipt':
+        return importSingleReceipt(message.barcode, sender.tab?.id);
+
+      // Get fetched receipts for the review page
+      case 'getReviewReceipts':
+        return getReviewReceipts();
+
+      // Upload the receipts approved on the review page
+      case 'submitReview':
+        return submitReview(message.decisions);
+
+      // Throw away an interrupted or cancelled sync so a new one can start
+      case 'discardSync':
+        return discardInterruptedSync();
+
+      // Change sync settings (e.g. include fuel receipts)
+      case 'updateSettings':
+        return updateSyncSettings(message.settings);
+
+      // Retry uploading receipts that couldn't reach WarehouseMeals
+      case 'flushUploadQueue':
+        return flushUploadQueue();
+
+      // Let receipts excluded on the review page sync again
+      case 'clearExcludedReceipts':
+        return clearExcludedReceipts();
+
+      // Get or clear the saved schema drift report
+      case 'getDiagnostics':
+        return getDiagnostics();
+
+      case 'clearDiagnostics':
+        return clearDiagnostics();
+
+      // Get recent sync runs for the history view
+      case 'getSyncHistory':
+        return getSyncHistory();
+
+      // Turn scheduled auto-sync on or off
+      case 'setAutoSync':
+        return setAutoSyncFrequency(message.frequency);
+
       default:
         throw new Error(`Unknown action: ${message.action}`);
     }
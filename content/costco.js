@@ -6,6 +6,7 @@
  * PRIVACY & SECURITY:
  * - This script NEVER stores or transmits your Costco credentials
  * - It reads the session token from localStorage only when you click "Sync"
+ *   (in the popup, or "Sync this receipt" on costco.com's receipts page)
  * - The token is used solely to fetch YOUR receipts from Costco's API
  * - All API calls happen directly from your browser to Costco's servers
  * - No Costco data is sent anywhere except to your WarehouseMeals account
@@ -25,70 +26,508 @@
   if (window.__warehouseMealsInjected) return;
   window.__warehouseMealsInjected = true;
 
-  // Costco API configuration (same values the costco.com website uses)
+  // Per-region Costco site configuration (the same values each site's own
+  // pages send). To add a region, add an entry here plus its site to
+  // manifest.json and COSTCO_SITE_URLS in background.js. Only add a region
+  // once its API host and client IDs have been confirmed from requests its
+  // own site makes - costco.ca isn't listed for that reason.
+  //
+  // `onlineOrders` holds what the online order queries need: the warehouse
+  // number the region's website is queried as, and the field its order
+  // tax total comes back in. It is null for regions where those aren't
+  // known, and online orders are then not synced there.
+  const COSTCO_REGIONS = {
+    us: {
+      hostname: 'www.costco.com',
+      apiUrl: 'https://ecom-api.costco.com/ebusiness/order/v1/orders/graphql',
+      headers: {
+        'client-identifier': '481b1aec-aa3b-454b-b81b-48187e28f205',
+        'costco-x-wcs-clientId': '4900eb1f-0c10-4bd9-99c3-c59e6c1ecebf',
+      },
+      dateFormat: 'MM/DD/YYYY',
+      currency: 'USD',
+      onlineOrders: {
+        warehouseNumber: '847',
+        taxField: 'uSTaxTotal1',
+      },
+    },
+  };
+
+  // The region of the site this script is running on
+  const REGION_CODE = Object.keys(COSTCO_REGIONS).find((code) => COSTCO_REGIONS[code].hostname === location.hostname) || 'us';
+  const REGION = COSTCO_REGIONS[REGION_CODE];
+
+  // Costco API configuration for this region
   const COSTCO_API = {
-    url: 'https://ecom-api.costco.com/ebusiness/order/v1/orders/graphql',
+    url: REGION.apiUrl,
     timeoutMs: 30000,
     headers: {
       'Accept': '*/*',
       'Content-Type': 'application/json-patch+json',
-      'client-identifier': '481b1aec-aa3b-454b-b81b-48187e28f205',
-      'costco-x-wcs-clientId': '4900eb1f-0c10-4bd9-99c3-c59e6c1ecebf',
+      ...REGION.headers,
       'costco.env': 'ecom',
       'costco.service': 'restOrders',
     },
   };
 
+  // Controllers for in-flight Costco requests, so a cancelled sync can abort them
+  const activeControllers = new Set();
+
+  // Fixture mode scenario (see content/fixtures.js), or null. While it's
+  // set, Costco requests are answered from recorded responses and no
+  // Costco sign-in is needed.
+  let fixtureMode = null;
+  const FIXTURE_LATENCY_MS = 150;
+
+  /**
+   * Reads the fixture mode setting. Like the background script, this
+   * refuses fixture mode unless uploads go to a stub server on this
+   * machine, so sample receipts can never reach a real account.
+   */
+  async function loadFixtureMode() {
+    const { costcoFixtureMode, warehouseMealsUrlOverride } = await chrome.storage.local.get(['costcoFixtureMode', 'warehouseMealsUrlOverride']);
+    let local = false;
+    try {
+      local = ['localhost', '127.0.0.1', '[::1]'].includes(new URL(warehouseMealsUrlOverride).hostname);
+    } catch (err) {
+      // No override, or not a URL
+    }
+    fixtureMode = costcoFixtureMode && local ? costcoFixtureMode : null;
+  }
+
+  // Messages wait for the setting, so the first request can't reach Costco
+  // before fixture mode is known
+  let fixtureModeReady = loadFixtureMode();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.costcoFixtureMode || changes.warehouseMealsUrlOverride)) {
+      fixtureModeReady = loadFixtureMode();
+    }
+  });
+
+  /**
+   * Creates an error the background script can tell apart by its code:
+   * - COSTCO_AUTH: the session is missing, expired or was rejected
+   * - COSTCO_RATE_LIMITED / COSTCO_UNAVAILABLE: a 429 or 5xx response,
+   *   with `retryAfterMs` if Costco sent a readable Retry-After header
+   * - COSTCO_TIMEOUT / COSTCO_NETWORK / COSTCO_ABORTED: the request didn't complete
+   * - COSTCO_SCHEMA: the response is missing something we can't do without
+   */
+  function costcoError(message, code, retryAfterMs = null) {
+    const err = new Error(message);
+    err.code = code;
+    err.retryAfterMs = retryAfterMs;
+    return err;
+  }
+
+  /**
+   * Answers a Costco request from the recorded fixtures, after a short
+   * delay. A fixture that hangs only settles when the request is aborted.
+   */
+  function fetchFixture(options, signal) {
+    return new Promise((resolve, reject) => {
+      // Inside the promise, so an unknown scenario rejects the request
+      const { status = 200, headers = {}, body, hang } = globalThis.warehouseMealsFixtures.respond(fixtureMode, JSON.parse(options.body));
+
+      signal.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')));
+      if (hang) return;
+
+      setTimeout(() => {
+        resolve(new Response(JSON.stringify(body), {
+          status,
+          headers: { 'Content-Type': 'application/json', ...headers },
+        }));
+      }, FIXTURE_LATENCY_MS);
+    });
+  }
+
   /**
    * Creates a fetch call with a timeout via AbortController.
    */
   function fetchWithTimeout(url, options) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), COSTCO_API.timeoutMs);
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, fixtureMode ? globalThis.warehouseMealsFixtures.timeoutMs : COSTCO_API.timeoutMs);
+    activeControllers.add(controller);
 
-    return fetch(url, { ...options, signal: controller.signal })
+    const request = fixtureMode
+      ? fetchFixture(options, controller.signal)
+      : fetch(url, { ...options, signal: controller.signal });
+
+    return request
       .then((response) => {
         clearTimeout(timeoutId);
+        activeControllers.delete(controller);
         return response;
       })
       .catch((err) => {
         clearTimeout(timeoutId);
+        activeControllers.delete(controller);
         if (err.name === 'AbortError') {
-          throw new Error('Costco API request timed out. Please try again.');
+          throw timedOut
+            ? costcoError('Costco API request timed out. Please try again.', 'COSTCO_TIMEOUT')
+            : costcoError('Costco API request was cancelled.', 'COSTCO_ABORTED');
         }
-        throw new Error('Network error connecting to Costco. Please check your connection.');
+        throw costcoError('Network error connecting to Costco. Please check your connection.', 'COSTCO_NETWORK');
       });
   }
 
   /**
-   * Gets the user's Costco session token from localStorage.
+   * Aborts every in-flight Costco request. Used when a sync is cancelled.
+   */
+  function abortActiveRequests() {
+    const aborted = activeControllers.size;
+    for (const controller of activeControllers) {
+      controller.abort();
+    }
+    activeControllers.clear();
+    return aborted;
+  }
+
+  /**
+   * Decodes the payload of a JWT without verifying it - we only need
+   * Costco's own expiry time. Returns null if it can't be read.
+   */
+  function decodeJwtPayload(token) {
+    try {
+      const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Gets the user's Costco session token from localStorage, with its expiry.
    * This token is created by Costco when you log in - we just read it.
-   * Returns null if the user is not logged in.
+   * Returns null if the user is not logged in or the token has expired.
    */
-  function getCostcoSessionToken() {
+  function getCostcoSession() {
+    if (fixtureMode) {
+      return { token: 'fixture', expiresAt: null };
+    }
+
     const token = localStorage.getItem('idToken');
 
     // Verify it looks like a valid JWT (three base64 parts separated by dots)
-    if (token && token.startsWith('eyJ') && token.split('.').length === 3) {
-      return token;
+    if (!token || !token.startsWith('eyJ') || token.split('.').length !== 3) {
+      return null;
+    }
+
+    // `exp` is in seconds. A token without one is trusted until Costco rejects it.
+    const exp = decodeJwtPayload(token)?.exp;
+    const expiresAt = Number.isFinite(exp) ? exp * 1000 : null;
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Gets the session token, or throws a COSTCO_AUTH error if there isn't a live one.
+   */
+  function getCostcoSessionToken() {
+    const session = getCostcoSession();
+    if (!session) {
+      throw costcoError('Your Costco session has expired or you are signed out. Please sign in at costco.com', 'COSTCO_AUTH');
+    }
+    return session.token;
+  }
+
+  /**
+   * Reports whether the user is logged into Costco and, if Costco's token
+   * says so, when the session expires. `sessionId` (the end of the token's
+   * signature, which is useless on its own) lets the background tell a new
+   * sign-in apart from a token Costco has already rejected.
+   */
+  function getCostcoLoginStatus() {
+    const session = getCostcoSession();
+    if (!session) {
+      return { loggedIn: false, sessionId: null, expiresAt: null, expiresInMs: null };
     }
 
-    return null;
+    return {
+      loggedIn: true,
+      sessionId: session.token.slice(-16),
+      expiresAt: session.expiresAt ? new Date(session.expiresAt).toISOString() : null,
+      expiresInMs: session.expiresAt ? session.expiresAt - Date.now() : null,
+    };
   }
 
   /**
-   * Checks if the user is currently logged into Costco.
+   * Reads a Retry-After header (seconds or an HTTP date) as milliseconds.
+   * Costco has to expose the header over CORS for us to see it, so this is
+   * often null and the background falls back to its own backoff.
    */
-  function isLoggedIntoCostco() {
-    return getCostcoSessionToken() !== null;
+  function parseRetryAfter(response) {
+    const value = response.headers.get('Retry-After');
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
   }
 
   /**
-   * Converts a date from YYYY-MM-DD to MM/DD/YYYY format (what Costco's API expects).
+   * Throws for a non-OK Costco response. 401/403 mean the session was
+   * rejected, which the background handles by waiting for a new login;
+   * 429 and 5xx are retried by the background's request scheduler.
+   */
+  function checkCostcoResponse(response) {
+    if (response.status === 401 || response.status === 403) {
+      throw costcoError('Costco rejected the session. Please sign in again at costco.com', 'COSTCO_AUTH');
+    }
+    if (response.status === 429) {
+      throw costcoError('Costco is rate limiting requests.', 'COSTCO_RATE_LIMITED', parseRetryAfter(response));
+    }
+    if (response.status >= 500) {
+      throw costcoError(`Costco API error: ${response.status}`, 'COSTCO_UNAVAILABLE', parseRetryAfter(response));
+    }
+    if (!response.ok) {
+      throw new Error(`Costco API error: ${response.status}`);
+    }
+  }
+
+  /**
+   * Converts a date from YYYY-MM-DD to the region's format, e.g. MM/DD/YYYY
+   * (what Costco's API expects).
    */
   function formatDate(isoDate) {
     const [year, month, day] = isoDate.split('-');
-    return `${month}/${day}/${year}`;
+    return REGION.dateFormat.replace('YYYY', year).replace('MM', month).replace('DD', day);
+  }
+
+  /**
+   * Marks fetched receipt details with the site's region and currency, so
+   * WarehouseMeals knows which country's prices they are.
+   */
+  function withRegion(details) {
+    return { ...details, region: REGION_CODE, currency: REGION.currency };
+  }
+
+  // Expected shapes of Costco's responses, for spotting when they change.
+  // A type is 'string', 'number' or 'boolean', several joined with '|', and
+  // ends in '?' if null is allowed. Arrays hold the schema of their items.
+  const RECEIPT_ITEM_SCHEMA = {
+    itemNumber: 'string|number',
+    itemDescription01: 'string?',
+    itemDescription02: 'string?',
+    amount: 'number|string',
+    unit: 'number|string?',
+    itemUnitPriceAmount: 'number|string?',
+  };
+
+  const FUEL_ITEM_SCHEMA = {
+    ...RECEIPT_ITEM_SCHEMA,
+    fuelUnitQuantity: 'number|string?',
+    fuelUnitPriceAmount: 'number|string?',
+    fuelUomCode: 'string?',
+    fuelGradeCode: 'string|number?',
+    fuelGradeDescription: 'string?',
+    fuelPumpNumber: 'string|number?',
+  };
+
+  const RECEIPT_LIST_SCHEMA = {
+    receiptsWithCounts: {
+      receipts: [{
+        transactionBarcode: 'string',
+        documentType: 'string',
+        transactionType: 'string',
+      }],
+    },
+  };
+
+  /**
+   * Schema of one `receiptsWithCounts` detail field.
+   */
+  function receiptDetailSchema(fuel) {
+    return {
+      receipts: [{
+        transactionBarcode: 'string',
+        transactionDateTime: 'string',
+        documentType: 'string',
+        transactionType: 'string',
+        warehouseName: 'string?',
+        warehouseNumber: 'number|string?',
+        subTotal: 'number|string',
+        taxes: 'number|string?',
+        total: 'number|string',
+        instantSavings: 'number|string?',
+        totalItemCount: 'number|string?',
+        itemArray: [fuel ? FUEL_ITEM_SCHEMA : RECEIPT_ITEM_SCHEMA],
+      }],
+    };
+  }
+
+  // Online order queries. The operation and field names (getOnlineOrders,
+  // bcOrders, getOrderDetails and the tax field in COSTCO_REGIONS) mirror
+  // the requests costco.com's Orders & Purchases page sends for its Online
+  // Orders tab. They haven't been checked against a live response for every
+  // kind of order, so the schemas below are loose and any difference is
+  // reported as drift rather than assumed. Compare with that page's
+  // requests in DevTools' Network panel when updating them.
+  const ONLINE_ORDERS = REGION.onlineOrders;
+
+  const ONLINE_ORDER_LIST_SCHEMA = {
+    getOnlineOrders: {
+      totalNumberOfRecords: 'number?',
+      bcOrders: [{
+        orderNumber: 'string|number',
+        orderPlacedDate: 'string',
+        status: 'string?',
+      }],
+    },
+  };
+
+  const ONLINE_ORDER_DETAILS_SCHEMA = {
+    getOrderDetails: [{
+      orderNumber: 'string|number',
+      orderPlacedDate: 'string',
+      warehouseNumber: 'string|number?',
+      merchandiseTotal: 'number|string?',
+      discountAmount: 'number|string?',
+      ...(ONLINE_ORDERS && { [ONLINE_ORDERS.taxField]: 'number|string?' }),
+      orderTotal: 'number|string',
+      shipToAddress: [{
+        orderLineItems: [{
+          itemNumber: 'string|number',
+          itemDescription: 'string?',
+          quantity: 'number|string?',
+          price: 'number|string?',
+          merchandiseTotalAmount: 'number|string?',
+        }],
+      }],
+    }],
+  };
+
+  // Drift found while handling the current message; sent back with its response
+  let pendingDrift = [];
+
+  /**
+   * Names a value's JSON type: 'string', 'number', 'boolean', 'null',
+   * 'array', 'object' or 'undefined'.
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Describes the shape of a value with every value stripped out, e.g.
+   * `{ total: 'number', itemArray: [{ itemNumber: 'string' }] }`. Array items
+   * are merged into one shape, so this is safe to paste into a bug report.
+   */
+  function describeShape(value) {
+    if (Array.isArray(value)) {
+      return value.length === 0 ? [] : [value.map(describeShape).reduce(mergeShapes)];
+    }
+    if (typeOf(value) === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, describeShape(v)]));
+    }
+    return typeOf(value);
+  }
+
+  /**
+   * Merges two shapes from describeShape, joining differing types with '|'.
+   */
+  function mergeShapes(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length && b.length ? [mergeShapes(a[0], b[0])] : (a.length ? a : b);
+    }
+    if (typeOf(a) === 'object' && typeOf(b) === 'object') {
+      const merged = { ...a };
+      for (const [key, shape] of Object.entries(b)) {
+        merged[key] = key in merged ? mergeShapes(merged[key], shape) : shape;
+      }
+      return merged;
+    }
+    if (typeof a === 'string' && typeof b === 'string') {
+      return [...new Set([...a.split('|'), ...b.split('|')])].join('|');
+    }
+    return JSON.stringify(a) === JSON.stringify(b) ? a : 'mixed';
+  }
+
+  /**
+   * Compares a value against a schema, adding an issue for each missing
+   * field, type change and unknown new field. Repeats in arrays are reported once.
+   */
+  function checkSchema(value, schema, path, issues) {
+    const report = (issue) => {
+      if (!issues.some((i) => i.path === issue.path && i.kind === issue.kind)) {
+        issues.push(issue);
+      }
+    };
+
+    if (typeof schema === 'string') {
+      const nullable = schema.endsWith('?');
+      const types = schema.replace('?', '').split('|');
+      const actual = typeOf(value);
+      if (actual === 'null' ? !nullable : !types.includes(actual)) {
+        report({ path, kind: 'type', expected: schema, actual });
+      }
+      return;
+    }
+
+    if (Array.isArray(schema)) {
+      // GraphQL lists can be null when there is nothing to return
+      if (value === null) return;
+      if (!Array.isArray(value)) {
+        report({ path, kind: 'type', expected: 'array', actual: typeOf(value) });
+        return;
+      }
+      value.forEach((item) => checkSchema(item, schema[0], `${path}[]`, issues));
+      return;
+    }
+
+    if (typeOf(value) !== 'object') {
+      report({ path, kind: 'type', expected: 'object', actual: typeOf(value) });
+      return;
+    }
+    for (const [key, fieldSchema] of Object.entries(schema)) {
+      if (key in value) {
+        checkSchema(value[key], fieldSchema, `${path}.${key}`, issues);
+      } else {
+        report({ path: `${path}.${key}`, kind: 'missing', expected: typeof fieldSchema === 'string' ? fieldSchema : typeOf(fieldSchema) });
+      }
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in schema)) {
+        report({ path: `${path}.${key}`, kind: 'unknown', actual: typeOf(value[key]) });
+      }
+    }
+  }
+
+  /**
+   * Validates a response's `data` against its schema. Any drift is kept,
+   * with the response's shape, to be sent back to the background script.
+   *
+   * @param {string} operation - Which query this was, e.g. 'receiptList'
+   * @returns {Array<Object>} The issues found
+   */
+  function checkResponseSchema(operation, data, schema) {
+    const issues = [];
+    checkSchema(data, schema, 'data', issues);
+    if (issues.length > 0) {
+      console.warn(`[WarehouseMeals] Costco's ${operation} response has changed:`, issues);
+      pendingDrift.push({ operation, issues, shape: describeShape(data) });
+    }
+    return issues;
+  }
+
+  /**
+   * Error for a response too different from what we expect to use at all,
+   * naming the first thing that changed.
+   */
+  function unexpectedResponseError(issues) {
+    const issue = issues.find((i) => i.kind !== 'unknown') || issues[0];
+    const detail = issue ? ` (${issue.path} ${issue.kind === 'missing' ? 'is missing' : `is ${issue.actual}, expected ${issue.expected}`})` : '';
+    return costcoError(`Unexpected response from Costco API${detail}. Their website may have changed.`, 'COSTCO_SCHEMA');
   }
 
   /**
@@ -100,9 +539,6 @@
    */
   async function fetchReceiptList(startDate, endDate) {
     const token = getCostcoSessionToken();
-    if (!token) {
-      throw new Error('Not logged into Costco. Please sign in at costco.com');
-    }
 
     // GraphQL query to get receipt list (only fields needed by WarehouseMeals)
     const query = `
@@ -144,9 +580,7 @@
       }),
     });
 
-    if (!response.ok) {
-      throw new Error(`Costco API error: ${response.status}`);
-    }
+    checkCostcoResponse(response);
 
     const data = await response.json();
 
@@ -155,32 +589,68 @@
     }
 
     // Validate expected response structure
+    const issues = checkResponseSchema('receiptList', data.data, RECEIPT_LIST_SCHEMA);
     if (!data.data || !data.data.receiptsWithCounts) {
-      throw new Error('Unexpected response from Costco API. Their website may have changed.');
+      throw unexpectedResponseError(issues);
     }
 
     return data.data.receiptsWithCounts.receipts || [];
   }
 
+  // Extra line item fields requested for gas station receipts. These names
+  // haven't been confirmed against Costco's schema (no fuel receipt was on
+  // hand to check), so if Costco refuses them the fuel receipts are fetched
+  // without them instead - see isFuelFieldRejection.
+  const FUEL_FIELD_NAMES = [
+    'fuelUnitQuantity',
+    'fuelUnitPriceAmount',
+    'fuelUomCode',
+    'fuelGradeCode',
+    'fuelGradeDescription',
+    'fuelPumpNumber',
+  ];
+  const FUEL_ITEM_FIELDS = FUEL_FIELD_NAMES.map((name) => `\n              ${name}`).join('');
+
+  // Set once Costco refuses the fuel fields; for the rest of the page's
+  // life fuel receipts are fetched with the warehouse receipt fields only
+  let fuelFieldsRejected = false;
+
   /**
-   * Fetches detailed information for a single receipt.
-   *
-   * @param {string} barcode - The transaction barcode of the receipt
-   * @returns {Promise<Object|null>} Receipt details or null if not found
+   * Whether Costco refused a query because of the fuel fields, e.g.
+   * `Cannot query field "fuelUomCode" on type ...`. Validation errors like
+   * that have no path, and usually come back with a 400.
    */
-  async function fetchReceiptDetails(barcode) {
-    const token = getCostcoSessionToken();
-    if (!token) {
-      throw new Error('Not logged into Costco. Please sign in at costco.com');
-    }
+  async function isFuelFieldRejection(response) {
+    if (!response.ok && response.status !== 400) return false;
+    const body = await response.clone().json().catch(() => null);
+    return (body?.errors || []).some((error) => !error.path && FUEL_FIELD_NAMES.some((name) => error.message?.includes(name)));
+  }
 
-    // GraphQL query to get receipt details (only fields needed by WarehouseMeals)
-    const query = `
-      query receiptsWithCounts($barcode: String!, $documentType: String!) {
-        receiptsWithCounts(barcode: $barcode, documentType: $documentType) {
-          receipts {
+  /**
+   * Stops requesting the fuel fields, and reports it as drift so the field
+   * names can be corrected.
+   */
+  function rejectFuelFields() {
+    fuelFieldsRejected = true;
+    console.warn('[WarehouseMeals] Costco refused the fuel receipt fields; fetching fuel receipts without them');
+    pendingDrift.push({
+      operation: 'fuelFields',
+      issues: [{ path: 'data.receiptsWithCounts.receipts.itemArray', kind: 'rejected', expected: FUEL_FIELD_NAMES.join(', ') }],
+      shape: null,
+    });
+  }
+
+  /**
+   * The receipt detail fields to request (only fields needed by WarehouseMeals).
+   * Fuel fields are only requested for fuel receipts, so a change to them on
+   * Costco's side can't break warehouse receipts.
+   */
+  function receiptDetailSelection(fuel) {
+    return `receipts {
             transactionBarcode
             transactionDateTime
+            documentType
+            transactionType
             warehouseName
             warehouseNumber
             subTotal
@@ -194,9 +664,28 @@
               itemDescription02
               amount
               unit
-              itemUnitPriceAmount
+              itemUnitPriceAmount${fuel ? FUEL_ITEM_FIELDS : ''}
             }
-          }
+          }`;
+  }
+
+  /**
+   * Fetches detailed information for a single receipt.
+   *
+   * @param {string} barcode - The transaction barcode of the receipt
+   * @param {Object} [options]
+   * @param {boolean} [options.fuel] - Also request the fuel fields (gas station receipts)
+   * @returns {Promise<Object|null>} Receipt details or null if not found
+   */
+  async function fetchReceiptDetails(barcode, { fuel = false } = {}) {
+    const token = getCostcoSessionToken();
+    const withFuel = fuel && !fuelFieldsRejected;
+
+    // GraphQL query to get receipt details
+    const query = `
+      query receiptsWithCounts($barcode: String!, $documentType: String!) {
+        receiptsWithCounts(barcode: $barcode, documentType: $documentType) {
+          ${receiptDetailSelection(withFuel)}
         }
       }
     `;
@@ -216,9 +705,11 @@
       }),
     });
 
-    if (!response.ok) {
-      throw new Error(`Costco API error: ${response.status}`);
+    if (withFuel && await isFuelFieldRejection(response)) {
+      rejectFuelFields();
+      return fetchReceiptDetails(barcode, { fuel });
     }
+    checkCostcoResponse(response);
 
     const data = await response.json();
 
@@ -227,13 +718,419 @@
     }
 
     // Validate expected response structure
+    const issues = checkResponseSchema('receiptDetails', data.data, { receiptsWithCounts: receiptDetailSchema(withFuel) });
     if (!data.data || !data.data.receiptsWithCounts) {
-      throw new Error('Unexpected response from Costco API. Their website may have changed.');
+      throw unexpectedResponseError(issues);
+    }
+
+    const details = data.data.receiptsWithCounts.receipts?.[0];
+    return details ? withRegion(details) : null;
+  }
+
+  /**
+   * Fetches details for several receipts in one request, using an aliased
+   * `receiptsWithCounts` field per barcode (r0, r1, ...).
+   *
+   * Errors that belong to a single alias are reported for that barcode only.
+   * If Costco rejects the whole document (e.g. it stops allowing aliases),
+   * this throws COSTCO_BATCH_REJECTED so the background can fall back to
+   * one request per receipt.
+   *
+   * @param {Array<{barcode: string, fuel: boolean}>} receipts
+   * @returns {Promise<{results: Object}>} For each barcode, `{ details }` or `{ error }`
+   */
+  async function fetchReceiptDetailsBatch(receipts) {
+    const token = getCostcoSessionToken();
+    const withFuel = receipts.map(({ fuel }) => fuel && !fuelFieldsRejected);
+
+    const variables = { documentType: 'all' };
+    const params = ['$documentType: String!'];
+    const fields = receipts.map(({ barcode }, i) => {
+      variables[`barcode${i}`] = barcode;
+      params.push(`$barcode${i}: String!`);
+      return `r${i}: receiptsWithCounts(barcode: $barcode${i}, documentType: $documentType) {
+          ${receiptDetailSelection(withFuel[i])}
+        }`;
+    });
+
+    const query = `
+      query receiptDetailsBatch(${params.join(', ')}) {
+        ${fields.join('\n        ')}
+      }
+    `;
+
+    const response = await fetchWithTimeout(COSTCO_API.url, {
+      method: 'POST',
+      headers: {
+        ...COSTCO_API.headers,
+        'costco-x-authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    // Refused over the fuel fields rather than the batching: send the same
+    // batch again without them (and leave them out from now on)
+    if (withFuel.some(Boolean) && await isFuelFieldRejection(response)) {
+      rejectFuelFields();
+      return fetchReceiptDetailsBatch(receipts);
+    }
+
+    // A 400 means Costco wouldn't run the document at all
+    if (response.status === 400) {
+      throw costcoError('Costco rejected the batched request.', 'COSTCO_BATCH_REJECTED');
+    }
+    checkCostcoResponse(response);
+
+    const data = await response.json();
+
+    // Errors without a path (query validation, complexity limits) reject the whole batch
+    const errors = data.errors || [];
+    const aliasErrors = {};
+    for (const error of errors) {
+      const alias = error.path?.[0];
+      if (typeof alias !== 'string' || !/^r\d+$/.test(alias)) {
+        throw costcoError(error.message || 'Costco rejected the batched request.', 'COSTCO_BATCH_REJECTED');
+      }
+      aliasErrors[alias] = aliasErrors[alias] || error.message || 'Costco API returned an error';
+    }
+
+    if (!data.data) {
+      throw costcoError('Costco rejected the batched request.', 'COSTCO_BATCH_REJECTED');
+    }
+
+    // Every alias is checked against the single-receipt detail schema
+    const batchSchema = Object.fromEntries(receipts.map((receipt, i) => [`r${i}`, receiptDetailSchema(withFuel[i])]));
+    const issues = checkResponseSchema('receiptDetails', data.data, batchSchema);
+
+    const results = {};
+    receipts.forEach(({ barcode }, i) => {
+      const alias = `r${i}`;
+      const field = data.data[alias];
+      if (aliasErrors[alias]) {
+        results[barcode] = { error: aliasErrors[alias] };
+      } else if (!field) {
+        results[barcode] = { error: unexpectedResponseError(issues.filter((issue) => issue.path.startsWith(`data.${alias}`))).message };
+      } else {
+        const details = field.receipts?.[0];
+        results[barcode] = details ? { details: withRegion(details) } : { error: 'Not found' };
+      }
+    });
+
+    return { results };
+  }
+
+  // Online orders (costco.com order history) are listed a page at a time
+  const ONLINE_ORDERS_PAGE_SIZE = 50;
+
+  /**
+   * Sends a GraphQL query to Costco's order API and returns its `data`.
+   */
+  async function queryCostco(query, variables) {
+    const token = getCostcoSessionToken();
+
+    const response = await fetchWithTimeout(COSTCO_API.url, {
+      method: 'POST',
+      headers: {
+        ...COSTCO_API.headers,
+        'costco-x-authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    checkCostcoResponse(response);
+
+    const data = await response.json();
+
+    if (data.errors) {
+      throw new Error(data.errors[0]?.message || 'Costco API returned an error');
+    }
+    if (!data.data) {
+      throw unexpectedResponseError([{ path: 'data', kind: 'missing' }]);
     }
 
-    return data.data.receiptsWithCounts.receipts?.[0] || null;
+    return data.data;
   }
 
+  /**
+   * The key an online order is tracked under, in place of a warehouse
+   * receipt's transaction barcode. Prefixed so it can't collide with one.
+   */
+  function onlineOrderKey(orderNumber) {
+    return `online:${orderNumber}`;
+  }
+
+  /**
+   * Lists online orders placed between two dates, following every page.
+   * Each entry looks like a receipt list entry, marked `orderType: 'online'`.
+   *
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Order list entries
+   */
+  async function fetchOnlineOrderList(startDate, endDate) {
+    if (!ONLINE_ORDERS) {
+      console.warn(`[WarehouseMeals] Online orders aren't supported on ${REGION.hostname} yet`);
+      return [];
+    }
+
+    const query = `
+      query getOnlineOrders(
+        $startDate: String!,
+        $endDate: String!,
+        $pageNumber: Int,
+        $pageSize: Int,
+        $warehouseNumber: String!
+      ) {
+        getOnlineOrders(
+          startDate: $startDate,
+          endDate: $endDate,
+          pageNumber: $pageNumber,
+          pageSize: $pageSize,
+          warehouseNumber: $warehouseNumber
+        ) {
+          totalNumberOfRecords
+          bcOrders {
+            orderNumber
+            orderPlacedDate
+            status
+          }
+        }
+      }
+    `;
+
+    const orders = [];
+    for (let pageNumber = 1; ; pageNumber++) {
+      const data = await queryCostco(query, {
+        startDate: formatDate(startDate),
+        endDate: formatDate(endDate),
+        pageNumber,
+        pageSize: ONLINE_ORDERS_PAGE_SIZE,
+        // Costco's online order service is queried with a fixed warehouse
+        // number for the region's website rather than a physical warehouse
+        warehouseNumber: ONLINE_ORDERS.warehouseNumber,
+      });
+
+      const issues = checkResponseSchema('onlineOrderList', data, ONLINE_ORDER_LIST_SCHEMA);
+      if (!data.getOnlineOrders) {
+        throw unexpectedResponseError(issues);
+      }
+
+      const page = data.getOnlineOrders.bcOrders || [];
+      orders.push(...page);
+
+      const total = data.getOnlineOrders.totalNumberOfRecords ?? 0;
+      if (page.length < ONLINE_ORDERS_PAGE_SIZE || orders.length >= total) break;
+    }
+
+    // Cancelled orders were never charged
+    return orders
+      .filter((order) => !/cancel/i.test(order.status || ''))
+      .map((order) => ({
+        transactionBarcode: onlineOrderKey(order.orderNumber),
+        orderType: 'online',
+        orderNumber: order.orderNumber,
+        documentType: 'OnlineOrder',
+        transactionType: 'Sale',
+      }));
+  }
+
+  /**
+   * Maps an online order into the same shape as warehouse receipt details,
+   * so the background can treat both alike.
+   */
+  function toOnlineOrderReceipt(order) {
+    const lineItems = (order.shipToAddress || []).flatMap((address) => address.orderLineItems || []);
+
+    return withRegion({
+      transactionBarcode: onlineOrderKey(order.orderNumber),
+      orderType: 'online',
+      orderNumber: order.orderNumber,
+      transactionDateTime: order.orderPlacedDate,
+      documentType: 'OnlineOrder',
+      transactionType: 'Sale',
+      warehouseName: 'Online',
+      warehouseNumber: order.warehouseNumber ?? null,
+      subTotal: order.merchandiseTotal,
+      taxes: order[ONLINE_ORDERS.taxField],
+      total: order.orderTotal,
+      instantSavings: order.discountAmount ?? 0,
+      totalItemCount: lineItems.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0),
+      itemArray: lineItems.map((item) => ({
+        itemNumber: item.itemNumber,
+        itemDescription01: item.itemDescription,
+        itemDescription02: null,
+        amount: item.merchandiseTotalAmount ?? item.price,
+        unit: item.quantity,
+        itemUnitPriceAmount: item.price,
+      })),
+    });
+  }
+
+  /**
+   * Fetches line items for several online orders in one request.
+   *
+   * @param {Array<string>} orderNumbers
+   * @returns {Promise<{results: Object}>} For each order key, `{ details }` or `{ error }`
+   */
+  async function fetchOnlineOrderDetails(orderNumbers) {
+    if (!ONLINE_ORDERS) {
+      throw costcoError(`Online orders aren't supported on ${REGION.hostname} yet.`, 'COSTCO_SCHEMA');
+    }
+
+    const query = `
+      query getOrderDetails($orderNumbers: [String]) {
+        getOrderDetails(orderNumbers: $orderNumbers) {
+          orderNumber
+          orderPlacedDate
+          warehouseNumber
+          merchandiseTotal
+          discountAmount
+          ${ONLINE_ORDERS.taxField}
+          orderTotal
+          shipToAddress {
+            orderLineItems {
+              itemNumber
+              itemDescription
+              quantity
+              price
+              merchandiseTotalAmount
+            }
+          }
+        }
+      }
+    `;
+
+    const data = await queryCostco(query, { orderNumbers });
+    checkResponseSchema('onlineOrderDetails', data, ONLINE_ORDER_DETAILS_SCHEMA);
+    const orders = data.getOrderDetails || [];
+
+    const results = {};
+    for (const orderNumber of orderNumbers) {
+      const order = orders.find((o) => String(o.orderNumber) === String(orderNumber));
+      results[onlineOrderKey(orderNumber)] = order ? { details: toOnlineOrderReceipt(order) } : { error: 'Not found' };
+    }
+
+    return { results };
+  }
+
+  // "Sync this receipt" buttons on the Orders & Purchases page. Costco
+  // renders its receipts client-side, so the page is watched for receipt
+  // barcodes (shown as a long run of digits under each receipt's barcode
+  // image) and a button is added next to each one.
+  const RECEIPTS_PAGE_PATTERN = /ordersandpurchases|OrderStatusCmd/i;
+  const RECEIPT_BARCODE_PATTERN = /^\d{18,26}$/;
+  const SYNC_BUTTON_CLASS = 'warehousemeals-sync-receipt';
+
+  const SYNC_BUTTON_STATUSES = {
+    imported: { text: 'Imported to WarehouseMeals', color: '#1a7f37' },
+    alreadySynced: { text: 'Already synced', color: '#57606a' },
+    skipped: { text: 'Skipped', color: '#57606a' },
+    queued: { text: 'Waiting to upload - WarehouseMeals is unreachable', color: '#9a6700' },
+    failed: { text: 'Failed', color: '#cf222e' },
+  };
+
+  /**
+   * Whether this page is costco.com's list of warehouse receipts.
+   */
+  function isReceiptsPage() {
+    return RECEIPTS_PAGE_PATTERN.test(location.href);
+  }
+
+  /**
+   * Finds elements on the page that show just a receipt barcode.
+   */
+  function findReceiptBarcodeElements() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    const elements = new Map();
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const barcode = node.textContent.replace(/\s+/g, '');
+      const element = node.parentElement;
+      if (RECEIPT_BARCODE_PATTERN.test(barcode) && element && !element.closest(`.${SYNC_BUTTON_CLASS}`)) {
+        elements.set(element, barcode);
+      }
+    }
+
+    return elements;
+  }
+
+  /**
+   * Asks the background to fetch and import one receipt, showing the
+   * outcome next to the button.
+   */
+  async function syncReceiptFromPage(barcode, button, status) {
+    button.disabled = true;
+    button.textContent = 'Syncing...';
+    status.textContent = '';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'importSingleReceipt', barcode });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      const { text, color } = SYNC_BUTTON_STATUSES[response.status] || SYNC_BUTTON_STATUSES.failed;
+      status.textContent = text;
+      status.style.color = color;
+      button.textContent = 'Sync again';
+    } catch (err) {
+      console.error(`[WarehouseMeals] Failed to sync receipt ${barcode}:`, err);
+      status.textContent = `${SYNC_BUTTON_STATUSES.failed.text}: ${err.message}`;
+      status.style.color = SYNC_BUTTON_STATUSES.failed.color;
+      button.textContent = 'Sync this receipt';
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Builds the button and status line added under a receipt's barcode.
+   */
+  function createSyncButton(barcode) {
+    const container = document.createElement('div');
+    container.className = SYNC_BUTTON_CLASS;
+    container.dataset.barcode = barcode;
+    container.style.cssText = 'margin: 8px 0; font-size: 13px; display: flex; align-items: center; gap: 8px;';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Sync this receipt';
+    button.title = 'Import this receipt into WarehouseMeals';
+    button.style.cssText = 'padding: 4px 10px; border: 1px solid #2d6a4f; border-radius: 4px; background: #fff; color: #2d6a4f; cursor: pointer;';
+
+    const status = document.createElement('span');
+
+    button.addEventListener('click', (event) => {
+      // Keep the click from opening or closing Costco's receipt panel
+      event.preventDefault();
+      event.stopPropagation();
+      syncReceiptFromPage(barcode, button, status);
+    });
+
+    container.append(button, status);
+    return container;
+  }
+
+  /**
+   * Adds a sync button under every receipt barcode that doesn't have one yet.
+   */
+  function addSyncButtons() {
+    if (!isReceiptsPage()) return;
+
+    for (const [element, barcode] of findReceiptBarcodeElements()) {
+      const next = element.nextElementSibling;
+      if (next?.classList.contains(SYNC_BUTTON_CLASS) && next.dataset.barcode === barcode) continue;
+      element.after(createSyncButton(barcode));
+    }
+  }
+
+  let addSyncButtonsTimer = null;
+  new MutationObserver(() => {
+    clearTimeout(addSyncButtonsTimer);
+    addSyncButtonsTimer = setTimeout(addSyncButtons, 300);
+  }).observe(document.documentElement, { childList: true, subtree: true });
+  addSyncButtons();
+
   /**
    * Connect to the background script via a long-lived port.
    * This is more reliable than chrome.runtime.onMessage, which can fail
@@ -243,15 +1140,29 @@
 
   port.onMessage.addListener((message) => {
     const handleMessage = async () => {
+      await fixtureModeReady;
+
       switch (message.action) {
         case 'fetchCostcoReceipts':
           return fetchReceiptList(message.startDate, message.endDate);
 
         case 'fetchCostcoReceiptDetails':
-          return fetchReceiptDetails(message.barcode);
+          return fetchReceiptDetails(message.barcode, { fuel: message.fuel });
+
+        case 'fetchCostcoReceiptDetailsBatch':
+          return fetchReceiptDetailsBatch(message.receipts);
+
+        case 'fetchCostcoOnlineOrders':
+          return fetchOnlineOrderList(message.startDate, message.endDate);
+
+        case 'fetchCostcoOnlineOrderDetails':
+          return fetchOnlineOrderDetails(message.orderNumbers);
+
+        case 'abortCostcoRequests':
+          return { aborted: abortActiveRequests() };
 
         case 'checkCostcoLogin':
-          return { loggedIn: isLoggedIntoCostco() };
+          return { ...getCostcoLoginStatus(), region: REGION_CODE, currency: REGION.currency };
 
         case 'ping':
           return { pong: true };
@@ -261,9 +1172,24 @@
       }
     };
 
+    // Any schema drift seen while handling this message goes back with it.
+    // The background sends Costco requests one at a time, so drift from one
+    // request can't end up on another's response.
+    const takeDrift = () => {
+      const drift = pendingDrift;
+      pendingDrift = [];
+      return drift.length > 0 ? drift : undefined;
+    };
+
     handleMessage()
-      .then((result) => port.postMessage({ id: message.id, result }))
-      .catch((err) => port.postMessage({ id: message.id, error: err.message }));
+      .then((result) => port.postMessage({ id: message.id, result, drift: takeDrift() }))
+      .catch((err) => port.postMessage({
+        id: message.id,
+        error: err.message,
+        code: err.code || null,
+        retryAfterMs: err.retryAfterMs ?? null,
+        drift: takeDrift(),
+      }));
   });
 
   console.log('[WarehouseMeals] Extension ready');
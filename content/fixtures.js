@@ -0,0 +1,274 @@
+/**
+ * WarehouseMeals Chrome Extension - Costco Fixtures
+ *
+ * Recorded Costco API responses for fixture mode, which lets the extension
+ * be demoed and tested end to end without a Costco account. When fixture
+ * mode is on, content/costco.js answers its Costco requests from here
+ * instead of calling Costco's API, and skips the sign-in check.
+ *
+ * This file is not a declared content script and is left out of release
+ * builds: the background injects it into Costco tabs only while fixture
+ * mode is on.
+ *
+ * Fixture mode is ignored unless warehouseMealsUrlOverride points at a
+ * stub server on this machine (see tools/stub-server.js). To turn it on (in
+ * the background's DevTools console), pick a scenario:
+ *   chrome.storage.local.set({ costcoFixtureMode: 'demo' })    // clean receipts only
+ *   chrome.storage.local.set({ costcoFixtureMode: 'errors' })  // plus failing receipts
+ * Any other scenario is rejected. Adding one here means adding it to
+ * FIXTURE_SCENARIOS in background.js too.
+ * To turn it off:
+ *   chrome.storage.local.remove(['costcoFixtureMode'])
+ *
+ * The 'errors' scenario adds receipts that exercise the failure paths: a
+ * 429 with Retry-After and a request that hangs until it times out (each
+ * once, so the retry succeeds), a receipt Costco reports an error for on
+ * every attempt, and one whose details don't match the expected schema.
+ *
+ * Receipt dates are relative to today, so they all fall inside the default
+ * sync range.
+ */
+
+(function () {
+  'use strict';
+
+  // The background can inject this more than once into a tab; keep the
+  // first copy so the once-only failures aren't reset
+  if (globalThis.warehouseMealsFixtures) return;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Returns the date `days` ago as Costco's `YYYY-MM-DDTHH:MM:SS`.
+   */
+  function daysAgo(days, time = '14:32:10') {
+    return `${new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10)}T${time}`;
+  }
+
+  /**
+   * Builds a warehouse receipt line item.
+   */
+  function item(itemNumber, description, amount, unit = 1) {
+    return {
+      itemNumber,
+      itemDescription01: description,
+      itemDescription02: null,
+      amount,
+      unit,
+      itemUnitPriceAmount: Math.round((amount / unit) * 100) / 100,
+    };
+  }
+
+  /**
+   * Whether a fixture line is an instant savings line ("/1593112").
+   */
+  function isDiscount(line) {
+    return /\/\d+$/.test(line.itemDescription01 || '');
+  }
+
+  /**
+   * Builds receipt details, deriving the totals from the lines the way
+   * Costco prints them: the subtotal is after instant savings.
+   */
+  function receipt({ barcode, days, warehouseName = 'ISSAQUAH', warehouseNumber = 1, transactionType = 'Sales', documentType = 'WarehouseReceiptDetail', items }) {
+    const subTotal = Math.round(items.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+    const instantSavings = Math.round(items.filter(isDiscount).reduce((sum, line) => sum - line.amount, 0) * 100) / 100;
+    const taxes = documentType === 'FuelReceipts' ? 0 : Math.round(subTotal * 0.04 * 100) / 100;
+
+    return {
+      transactionBarcode: barcode,
+      transactionDateTime: daysAgo(days),
+      documentType,
+      transactionType,
+      warehouseName,
+      warehouseNumber,
+      subTotal,
+      taxes,
+      total: Math.round((subTotal + taxes) * 100) / 100,
+      instantSavings,
+      totalItemCount: items.filter((line) => !isDiscount(line)).length,
+      itemArray: items,
+    };
+  }
+
+  const DEMO_RECEIPTS = [
+    receipt({
+      barcode: '21000100301232604151001',
+      days: 3,
+      items: [
+        item('1234567', 'KS ORGANIC EGGS', 7.49),
+        item('987654', 'ROTISSERIE CHICKEN', 4.99),
+        item('1593112', 'KS OLIVE OIL 2L', 19.99),
+        item('351953', '/1593112', -4.00),
+        item('44004', 'BANANAS', 1.99),
+        item('1122334', 'KS GREEK YOGURT', 6.79),
+      ],
+    }),
+    receipt({
+      barcode: '21000100301232604151002',
+      days: 12,
+      warehouseName: 'KIRKLAND',
+      warehouseNumber: 8,
+      items: [
+        item('1234567', 'KS ORGANIC EGGS', 7.49),
+        item('5566778', 'ATLANTIC SALMON', 24.38, 2),
+        item('2233445', 'BABY SPINACH', 4.29),
+        item('7788990', 'SOURDOUGH LOAF', 5.99),
+        item('362054', 'TPD/7788990', -1.50),
+      ],
+    }),
+    receipt({
+      barcode: '21000100301232604151003',
+      days: 20,
+      documentType: 'FuelReceipts',
+      items: [{
+        ...item('800002', 'REGULAR', 48.62),
+        fuelUnitQuantity: 12.874,
+        fuelUnitPriceAmount: 3.777,
+        fuelUomCode: 'GAL',
+        fuelGradeCode: '002',
+        fuelGradeDescription: 'REGULAR',
+        fuelPumpNumber: '7',
+      }],
+    }),
+    receipt({
+      barcode: '21000100301232604151004',
+      days: 9,
+      warehouseName: 'KIRKLAND',
+      warehouseNumber: 8,
+      transactionType: 'Refund',
+      items: [item('5566778', 'ATLANTIC SALMON', -12.19)],
+    }),
+    receipt({
+      barcode: '21000100301232604151005',
+      days: 41,
+      items: [
+        item('3344556', 'KS ALMOND BUTTER', 9.99),
+        item('6677889', 'FROZEN BLUEBERRIES', 12.49),
+        item('4455667', 'STEEL CUT OATS', 8.99),
+      ],
+    }),
+  ];
+
+  // Receipts added by the 'errors' scenario, and how each one misbehaves
+  const ERROR_RECEIPTS = [
+    { failure: 'rateLimitedOnce', details: receipt({ barcode: '21000100301232604159001', days: 5, items: [item('1112223', 'PEANUT BUTTER', 10.99)] }) },
+    { failure: 'timeoutOnce', details: receipt({ barcode: '21000100301232604159002', days: 15, items: [item('3334445', 'BASMATI RICE', 19.99)] }) },
+    { failure: 'error', details: receipt({ barcode: '21000100301232604159003', days: 25, items: [item('5556667', 'TORTILLAS', 4.49)] }) },
+    {
+      failure: 'malformed',
+      details: {
+        // No totals, and item amounts as objects - as if Costco reshaped them
+        ...receipt({ barcode: '21000100301232604159004', days: 33, items: [item('7778889', 'COFFEE BEANS', 16.99)] }),
+        subTotal: undefined,
+        total: undefined,
+        itemArray: [{ itemNumber: '7778889', itemDescription01: 'COFFEE BEANS', amount: { value: 16.99, currency: 'USD' } }],
+      },
+    },
+  ];
+
+  const SCENARIOS = {
+    demo: { receipts: DEMO_RECEIPTS, failures: {} },
+    errors: {
+      receipts: [...DEMO_RECEIPTS, ...ERROR_RECEIPTS.map((entry) => entry.details)],
+      failures: Object.fromEntries(ERROR_RECEIPTS.map((entry) => [entry.details.transactionBarcode, entry.failure])),
+    },
+  };
+
+  // Once-only failures that have already happened on this page
+  const failedOnce = new Set();
+
+  /**
+   * Converts Costco's MM/DD/YYYY request dates to YYYY-MM-DD.
+   */
+  function toIsoDate(date) {
+    const [month, day, year] = date.split('/');
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Answers a receipt list query with the scenario's receipts in range.
+   */
+  function respondToReceiptList(scenario, variables) {
+    const startDate = toIsoDate(variables.startDate);
+    const endDate = toIsoDate(variables.endDate);
+    const receipts = scenario.receipts
+      .filter((r) => r.transactionDateTime.slice(0, 10) >= startDate && r.transactionDateTime.slice(0, 10) <= endDate)
+      .map(({ transactionBarcode, documentType, transactionType }) => ({ transactionBarcode, documentType, transactionType }));
+
+    return { body: { data: { receiptsWithCounts: { receipts } } } };
+  }
+
+  /**
+   * Answers a detail query for one or more barcodes (the single-receipt
+   * query, or the batched one with a `barcodeN` variable per alias). A
+   * request that includes a once-only failure fails as a whole, like the
+   * real API; per-receipt errors come back as GraphQL errors for the alias.
+   */
+  function respondToReceiptDetails(scenario, variables) {
+    const batched = !('barcode' in variables);
+    const barcodes = batched
+      ? Object.keys(variables).filter((key) => /^barcode\d+$/.test(key)).map((key) => variables[key])
+      : [variables.barcode];
+
+    for (const barcode of barcodes) {
+      const failure = scenario.failures[barcode];
+      if ((failure === 'rateLimitedOnce' || failure === 'timeoutOnce') && !failedOnce.has(barcode)) {
+        failedOnce.add(barcode);
+        return failure === 'rateLimitedOnce'
+          ? { status: 429, headers: { 'Retry-After': '2' }, body: { message: 'Too Many Requests' } }
+          : { hang: true };
+      }
+    }
+
+    const data = {};
+    const errors = [];
+    barcodes.forEach((barcode, i) => {
+      const field = batched ? `r${i}` : 'receiptsWithCounts';
+      if (scenario.failures[barcode] === 'error') {
+        data[field] = null;
+        errors.push({ message: 'Receipt service error', path: [field] });
+        return;
+      }
+      const details = scenario.receipts.find((r) => r.transactionBarcode === barcode);
+      data[field] = { receipts: details ? [JSON.parse(JSON.stringify(details))] : [] };
+    });
+
+    return { body: errors.length > 0 ? { data, errors } : { data } };
+  }
+
+  /**
+   * Returns the recorded response for a Costco GraphQL request.
+   *
+   * @param {string} scenarioName - 'demo' or 'errors'
+   * @param {{query: string, variables: Object}} request - The parsed request body
+   * @returns {{status?: number, headers?: Object, body?: Object, hang?: boolean}}
+   *   The response, or `hang` for a request that never answers
+   * @throws {Error} If there is no such scenario
+   */
+  function respond(scenarioName, { query, variables = {} }) {
+    const scenario = SCENARIOS[scenarioName];
+    if (!scenario) {
+      throw new Error(`Unknown fixture scenario "${scenarioName}"`);
+    }
+
+    // No online orders in the fixtures
+    if (query.includes('getOnlineOrders')) {
+      return { body: { data: { getOnlineOrders: { totalNumberOfRecords: 0, bcOrders: [] } } } };
+    }
+    if (query.includes('getOrderDetails')) {
+      return { body: { data: { getOrderDetails: [] } } };
+    }
+
+    if ('startDate' in variables) {
+      return respondToReceiptList(scenario, variables);
+    }
+    return respondToReceiptDetails(scenario, variables);
+  }
+
+  globalThis.warehouseMealsFixtures = {
+    // Hanging requests give up sooner than real ones, so the demo keeps moving
+    timeoutMs: 3000,
+    respond,
+  };
+})();
@@ -0,0 +1,166 @@
+/**
+ * WarehouseMeals Chrome Extension - Receipt File Import Page
+ *
+ * Imports a receipt JSON file saved with "Export to CSV & JSON" (or shared
+ * by someone else) straight into WarehouseMeals, without a costco.com tab.
+ * The background script checks every receipt before anything is uploaded,
+ * and this page lists the ones it can't accept and why.
+ */
+
+// DOM Elements
+const elements = {
+  count: document.getElementById('import-count'),
+  fileInput: document.getElementById('file-input'),
+  result: document.getElementById('import-result'),
+  errorList: document.getElementById('error-list'),
+  importBtn: document.getElementById('import-btn'),
+};
+
+// Parsed contents of the chosen file
+let fileContents = null;
+
+/**
+ * Send message to background script
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (response?.error) {
+        reject(new Error(response.error));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Show a result message
+ */
+function showResult(message, type = 'success') {
+  elements.result.textContent = message;
+  elements.result.className = `sync-result ${type}`;
+  elements.result.classList.remove('hidden');
+}
+
+/**
+ * Clear everything shown for the previous file
+ */
+function resetPage() {
+  fileContents = null;
+  elements.result.classList.add('hidden');
+  elements.errorList.classList.add('hidden');
+  elements.errorList.replaceChildren();
+  elements.count.classList.add('hidden');
+  elements.importBtn.classList.add('hidden');
+}
+
+/**
+ * Build the list item explaining why one receipt can't be imported
+ */
+function renderInvalidReceipt({ index, transactionBarcode, errors }) {
+  const item = document.createElement('li');
+  item.className = 'import-error';
+
+  const title = document.createElement('div');
+  title.className = 'import-error-title';
+  title.textContent = `Receipt ${index + 1}${transactionBarcode ? ` · ${transactionBarcode}` : ''}`;
+
+  const list = document.createElement('ul');
+  for (const error of errors) {
+    const row = document.createElement('li');
+    row.textContent = error;
+    list.append(row);
+  }
+
+  item.append(title, list);
+  return item;
+}
+
+/**
+ * Handle choosing a file: parse it and have the background check each receipt
+ */
+async function handleFileChosen() {
+  resetPage();
+
+  const file = elements.fileInput.files[0];
+  if (!file) return;
+
+  try {
+    fileContents = JSON.parse(await file.text());
+  } catch (err) {
+    showResult(`${file.name} isn't a valid JSON file.`, 'error');
+    return;
+  }
+
+  try {
+    const { valid, invalid } = await sendMessage({ action: 'checkReceiptFile', contents: fileContents });
+
+    elements.count.textContent = `${valid} valid, ${invalid.length} invalid`;
+    elements.count.classList.remove('hidden');
+
+    if (invalid.length > 0) {
+      elements.errorList.replaceChildren(...invalid.map(renderInvalidReceipt));
+      elements.errorList.classList.remove('hidden');
+      showResult(`${invalid.length} receipt${invalid.length === 1 ? '' : 's'} can't be imported and will be skipped.`, 'warning');
+    }
+
+    if (valid > 0) {
+      elements.importBtn.textContent = `Import ${valid} Receipt${valid === 1 ? '' : 's'}`;
+      elements.importBtn.disabled = false;
+      elements.importBtn.classList.remove('hidden');
+    } else {
+      showResult('None of the receipts in this file can be imported.', 'error');
+    }
+  } catch (err) {
+    console.error('File check failed:', err);
+    showResult(err.message, 'error');
+  }
+}
+
+/**
+ * Handle importing the valid receipts
+ */
+async function handleImport() {
+  const label = elements.importBtn.textContent;
+
+  try {
+    elements.importBtn.disabled = true;
+    elements.fileInput.disabled = true;
+    elements.importBtn.textContent = 'Importing...';
+
+    const result = await sendMessage({ action: 'importReceiptFile', contents: fileContents });
+    const failed = (result.errors || 0) + (result.uploadFailed || 0);
+
+    elements.importBtn.classList.add('hidden');
+    showResult(
+      `${result.imported} imported, ${result.alreadySynced + result.duplicates} already synced` +
+      (result.invalid > 0 ? `, ${result.invalid} invalid` : '') +
+      (result.queued > 0 ? `, ${result.queued} waiting to upload` : '') +
+      (failed > 0 ? `, ${failed} failed.` : '.'),
+      failed > 0 || result.invalid > 0 || result.queued > 0 ? 'warning' : 'success'
+    );
+  } catch (err) {
+    console.error('Import failed:', err);
+    showResult(err.message, 'error');
+    elements.importBtn.disabled = false;
+    elements.importBtn.textContent = label;
+  } finally {
+    elements.fileInput.disabled = false;
+  }
+}
+
+/**
+ * Initialize import page
+ */
+function init() {
+  elements.fileInput.addEventListener('change', handleFileChosen);
+  elements.importBtn.addEventListener('click', handleImport);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
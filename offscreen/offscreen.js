@@ -0,0 +1,32 @@
+/**
+ * WarehouseMeals Chrome Extension - Offscreen Document
+ *
+ * The service worker can't create object URLs, and data URLs are capped at
+ * about 2 MB, which a large export easily exceeds. The background script
+ * opens this hidden page while saving an export: it turns the file's text
+ * into a Blob URL for chrome.downloads, and releases it once the download
+ * is done.
+ */
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') {
+    return false;
+  }
+
+  switch (message.action) {
+    // Turn file text into a Blob URL the background can download
+    case 'createBlobUrl':
+      sendResponse({ url: URL.createObjectURL(new Blob([message.text], { type: message.mimeType })) });
+      break;
+
+    // Release a Blob URL once its download has finished
+    case 'revokeBlobUrl':
+      URL.revokeObjectURL(message.url);
+      sendResponse({ success: true });
+      break;
+
+    default:
+      return false;
+  }
+  return false;
+});
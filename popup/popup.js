@@ -14,6 +14,7 @@ const elements = {
   // Costco
   costcoStatus: document.getElementById('costco-status'),
   costcoConnected: document.getElementById('costco-connected'),
+  costcoHint: document.getElementById('costco-hint'),
   costcoDisconnected: document.getElementById('costco-disconnected'),
 
   // Sync
@@ -22,8 +23,53 @@ const elements = {
   syncBtnText: document.querySelector('.btn-text'),
   syncBtnLoading: document.querySelector('.btn-loading'),
   syncBtnLoadingText: document.querySelector('.btn-loading-text'),
+  cancelBtn: document.getElementById('cancel-btn'),
+  exportBtn: document.getElementById('export-btn'),
+  importFileBtn: document.getElementById('import-file-btn'),
+  syncOptions: document.getElementById('sync-options'),
+  resumeSync: document.getElementById('resume-sync'),
+  resumeSyncText: document.getElementById('resume-sync-text'),
+  resumeBtn: document.getElementById('resume-btn'),
+  uploadFetchedBtn: document.getElementById('upload-fetched-btn'),
+  reviewBtn: document.getElementById('review-btn'),
+  discardBtn: document.getElementById('discard-btn'),
   dateRange: document.getElementById('date-range'),
+  customRange: document.getElementById('custom-range'),
+  startDate: document.getElementById('start-date'),
+  endDate: document.getElementById('end-date'),
+  autoSync: document.getElementById('auto-sync'),
+  settingToggles: document.querySelectorAll('[data-setting]'),
   syncResult: document.getElementById('sync-result'),
+  lastSynced: document.getElementById('last-synced'),
+
+  // History
+  mainView: document.getElementById('main-view'),
+  historyBtn: document.getElementById('history-btn'),
+  historyView: document.getElementById('history-view'),
+  historyBack: document.getElementById('history-back'),
+  driftNotice: document.getElementById('drift-notice'),
+  driftText: document.getElementById('drift-text'),
+  copyDiagnosticsBtn: document.getElementById('copy-diagnostics-btn'),
+  dismissDiagnosticsBtn: document.getElementById('dismiss-diagnostics-btn'),
+  uploadQueue: document.getElementById('upload-queue'),
+  uploadQueueText: document.getElementById('upload-queue-text'),
+  flushQueueBtn: document.getElementById('flush-queue-btn'),
+  excludedReceipts: document.getElementById('excluded-receipts'),
+  excludedReceiptsText: document.getElementById('excluded-receipts-text'),
+  clearExcludedBtn: document.getElementById('clear-excluded-btn'),
+  historyEmpty: document.getElementById('history-empty'),
+  historyList: document.getElementById('history-list'),
+};
+
+// Warn when the Costco session has less than this left, since a long sync could outlast it
+const COSTCO_EXPIRY_WARNING_MS = 15 * 60 * 1000;
+
+const HISTORY_STATUS_BADGES = {
+  success: { label: 'Success', className: 'status-connected' },
+  partial: { label: 'Partial', className: 'status-warning' },
+  cancelled: { label: 'Cancelled', className: 'status-disconnected' },
+  skipped: { label: 'Skipped', className: 'status-disconnected' },
+  error: { label: 'Failed', className: 'status-warning' },
 };
 
 /**
@@ -69,8 +115,14 @@ function updateUI(status) {
 
   // Costco status
   if (status.costcoConnected) {
-    elements.costcoStatus.textContent = 'Connected';
-    elements.costcoStatus.className = 'status-badge status-connected';
+    const expiresInMs = status.costcoSessionExpiresAt ? new Date(status.costcoSessionExpiresAt).getTime() - Date.now() : null;
+    const expiringSoon = expiresInMs !== null && expiresInMs < COSTCO_EXPIRY_WARNING_MS;
+
+    elements.costcoStatus.textContent = expiringSoon ? 'Expiring' : 'Connected';
+    elements.costcoStatus.className = `status-badge ${expiringSoon ? 'status-warning' : 'status-connected'}`;
+    elements.costcoHint.textContent = expiringSoon
+      ? `Your Costco session ends in about ${Math.max(1, Math.round(expiresInMs / 60000))} min. Sign in again at costco.com before a long sync.`
+      : 'Ready to sync receipts';
     elements.costcoConnected.classList.remove('hidden');
     elements.costcoDisconnected.classList.add('hidden');
   } else {
@@ -80,6 +132,52 @@ function updateUI(status) {
     elements.costcoDisconnected.classList.remove('hidden');
   }
 
+  if (status.autoSync) {
+    updateAutoSyncUI(status.autoSync);
+  }
+
+  if (status.settings) {
+    elements.settingToggles.forEach((toggle) => {
+      toggle.checked = !!status.settings[toggle.dataset.setting];
+    });
+  }
+
+  // Offer to resume a sync that stopped part way (e.g. Chrome closed)
+  const interrupted = !status.syncInProgress && status.interruptedSync;
+  elements.resumeSync.classList.toggle('hidden', !interrupted);
+  elements.syncOptions.classList.toggle('hidden', !!interrupted);
+  if (interrupted) {
+    const { status: syncStatus, purpose, fetched, current, total } = status.interruptedSync;
+    const receiptsText = `${fetched} fetched receipt${fetched === 1 ? '' : 's'}`;
+
+    if (syncStatus === 'review') {
+      // Fetched receipts are waiting on the review page
+      elements.resumeSyncText.textContent = `The ${receiptsText} are ready to review before they're uploaded.`;
+      elements.discardBtn.textContent = 'Discard';
+    } else if (syncStatus === 'cancelled') {
+      // A cancelled sync can only upload (or export) what it fetched or discard it
+      const exporting = purpose === 'export';
+      const verb = exporting ? 'Export' : 'Upload';
+      elements.resumeSyncText.textContent = `${exporting ? 'Export' : 'Sync'} cancelled after ${current} of ${total} receipts. ${verb} the ${receiptsText} or discard them?`;
+      elements.uploadFetchedBtn.textContent = `${verb} ${fetched}`;
+      elements.uploadFetchedBtn.disabled = !exporting && !(status.warehouseMealsConnected || status.networkError);
+      elements.discardBtn.textContent = 'Discard';
+    } else {
+      elements.resumeSyncText.textContent = `A previous sync stopped after ${current} of ${total} receipts.`;
+      elements.resumeBtn.disabled = !(status.warehouseMealsConnected || status.networkError);
+      elements.discardBtn.textContent = 'Start Over';
+    }
+    elements.resumeBtn.classList.toggle('hidden', syncStatus !== 'interrupted');
+    elements.uploadFetchedBtn.classList.toggle('hidden', syncStatus !== 'cancelled');
+    elements.reviewBtn.classList.toggle('hidden', syncStatus !== 'review');
+  }
+
+  // Receipts that couldn't reach WarehouseMeals wait in a local queue
+  updateUploadQueueUI(status.queuedUploads, status.syncInProgress);
+
+  // Receipts left out on the review page are skipped until included again
+  updateExcludedReceiptsUI(status.excludedReceipts);
+
   // Handle sync-in-progress state (sync started before popup opened)
   if (status.syncInProgress) {
     setSyncLoading(true);
@@ -90,20 +188,84 @@ function updateUI(status) {
     return;
   }
 
-  // Sync button enabled only if both connected AND a Costco tab is open
-  const canSync = (status.warehouseMealsConnected || status.networkError) && status.costcoConnected && status.hasCostcoTab;
+  // Sync button only needs WarehouseMeals - the background opens costco.com
+  // and asks the user to sign in if needed
+  const canSync = status.warehouseMealsConnected || status.networkError;
   elements.syncBtn.disabled = !canSync;
 
+  // Exporting only needs Costco, which the background also takes care of
+  elements.exportBtn.disabled = false;
+
+  // Importing a file only needs WarehouseMeals
+  elements.importFileBtn.disabled = !status.warehouseMealsConnected;
+
+  // Costco's responses changed shape - offer the details for a bug report
+  elements.driftNotice.classList.toggle('hidden', !status.schemaDrift);
+  if (status.schemaDrift) {
+    const { at, issueCount } = status.schemaDrift;
+    elements.driftText.textContent = `Costco's data format changed (${issueCount} difference${issueCount === 1 ? '' : 's'}, ${formatRelativeTime(at)}). Copy the diagnostics into a bug report so we can fix it - they contain field names only, no receipt data.`;
+  }
+
   // Show contextual hints
-  if (status.networkError) {
+  if (status.fixtureMode?.scenario) {
+    showSyncResult(`Fixture mode (${status.fixtureMode.scenario}) is on: receipts come from sample data, not your Costco account.`, 'warning');
+  } else if (status.fixtureMode?.unknown) {
+    showSyncResult(`Fixture mode "${status.fixtureMode.unknown}" is not a known scenario: use 'demo' or 'errors'.`, 'error');
+  } else if (status.fixtureMode?.refused) {
+    showSyncResult('Fixture mode is ignored: it only works while warehouseMealsUrlOverride points at a local stub server.', 'warning');
+  } else if (status.networkError) {
     showSyncResult('Could not reach WarehouseMeals. Check your connection and try again.', 'warning');
   } else if (status.warehouseMealsConnected && !status.hasCostcoTab) {
-    showSyncResult('Please open costco.com in a tab', 'error');
+    showSyncResult('No Costco tab is open. Syncing will open costco.com for you.', 'warning');
   } else if (status.warehouseMealsConnected && status.hasCostcoTab && !status.costcoConnected) {
-    showSyncResult('Could not detect Costco login. Try refreshing the costco.com tab.', 'error');
+    showSyncResult("You're not signed in to Costco. Syncing will bring the Costco tab to the front so you can sign in.", 'warning');
   }
 }
 
+/**
+ * Format a timestamp relative to now, e.g. "2 days ago"
+ */
+function formatRelativeTime(isoString) {
+  const minutes = Math.round((Date.now() - new Date(isoString).getTime()) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Show the auto-sync setting and when receipts were last synced
+ */
+function updateAutoSyncUI(autoSync) {
+  elements.autoSync.value = autoSync.frequency;
+
+  const lines = [];
+  if (autoSync.lastSuccessfulSyncAt) {
+    lines.push(`Last synced ${formatRelativeTime(autoSync.lastSuccessfulSyncAt)}`);
+  }
+
+  // Mention a newer attempt that didn't succeed, e.g. a skipped scheduled run
+  const outcome = autoSync.lastOutcome;
+  if (outcome && outcome.status !== 'success' && outcome.at > (autoSync.lastSuccessfulSyncAt || '')) {
+    const label = outcome.trigger === 'scheduled' ? 'Auto-sync' : 'Last sync';
+    if (outcome.status === 'skipped') {
+      lines.push(`${label} skipped ${formatRelativeTime(outcome.at)}: ${outcome.message}`);
+    } else if (outcome.status === 'error') {
+      lines.push(`${label} failed ${formatRelativeTime(outcome.at)}: ${outcome.message}`);
+    } else if (outcome.status === 'partial') {
+      lines.push(`${label} ${formatRelativeTime(outcome.at)} had errors`);
+    }
+  }
+
+  elements.lastSynced.textContent = lines.join('. ');
+  elements.lastSynced.classList.toggle('hidden', lines.length === 0);
+}
+
 /**
  * Show sync result message
  */
@@ -126,12 +288,17 @@ function hideSyncResult() {
 function setSyncLoading(loading) {
   if (loading) {
     elements.syncBtn.disabled = true;
+    elements.exportBtn.disabled = true;
     elements.syncBtnText.classList.add('hidden');
     elements.syncBtnLoading.classList.remove('hidden');
     elements.syncBtnLoadingText.textContent = 'Syncing...';
+    elements.cancelBtn.disabled = false;
+    elements.cancelBtn.textContent = 'Cancel';
+    elements.cancelBtn.classList.remove('hidden');
   } else {
     elements.syncBtnText.classList.remove('hidden');
     elements.syncBtnLoading.classList.add('hidden');
+    elements.cancelBtn.classList.add('hidden');
   }
 }
 
@@ -147,15 +314,42 @@ function formatSyncResult(result) {
   if (result.duplicates > 0) {
     parts.push(`${result.duplicates} already synced`);
   }
+  if (result.alreadySynced > 0) {
+    parts.push(`${result.alreadySynced} skipped as already synced`);
+  }
+  if (result.previouslyExcluded > 0) {
+    parts.push(`${result.previouslyExcluded} skipped as excluded`);
+  }
   if (result.skipped > 0) {
     parts.push(`${result.skipped} skipped`);
   }
   if (result.errors > 0) {
     parts.push(`${result.errors} failed`);
   }
+  if (result.uploadFailed > 0) {
+    parts.push(`${result.uploadFailed} could not be uploaded`);
+  }
+  if (result.queued > 0) {
+    parts.push(`${result.queued} waiting to upload`);
+  }
+  if (result.excluded > 0) {
+    parts.push(`${result.excluded} excluded`);
+  }
+  if (result.exported > 0) {
+    parts.push(`${result.exported} exported`);
+  }
+  if (result.invalid > 0) {
+    parts.push(`${result.invalid} invalid`);
+  }
   if (result.fetchFailed > 0) {
     parts.push(`${result.fetchFailed} could not be read from Costco`);
   }
+  if (result.onlineOrdersError) {
+    parts.push('online orders could not be listed');
+  }
+  if (result.notFetched > 0) {
+    parts.push(`${result.notFetched} not fetched before cancelling`);
+  }
 
   if (parts.length === 0) {
     return 'No new receipts to import.';
@@ -170,12 +364,112 @@ function formatSyncResult(result) {
  * Determine the result type (success/warning/error) based on the result data.
  */
 function getSyncResultType(result) {
-  if (result.errors > 0 || result.fetchFailed > 0) {
+  if (result.errors > 0 || result.uploadFailed > 0 || result.fetchFailed > 0) {
     return result.imported > 0 ? 'warning' : 'error';
   }
+  if (result.queued > 0 || result.onlineOrdersError) {
+    return 'warning';
+  }
   return 'success';
 }
 
+/**
+ * Format a duration in milliseconds, e.g. "1m 12s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Format a YYYY-MM-DD date as e.g. "Oct 17"
+ */
+function formatShortDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Build the list item for one sync history entry
+ */
+function renderHistoryEntry(entry) {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const header = document.createElement('div');
+  header.className = 'history-item-header';
+
+  const time = document.createElement('span');
+  time.className = 'history-item-time';
+  time.textContent = new Date(entry.startedAt).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+  const badge = HISTORY_STATUS_BADGES[entry.status] || HISTORY_STATUS_BADGES.error;
+  const status = document.createElement('span');
+  status.className = `status-badge ${badge.className}`;
+  status.textContent = badge.label;
+
+  header.append(time, status);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-item-meta';
+  const purposeLabel = { export: 'Export', file: 'File import', receipt: 'Single receipt', queue: 'Queued upload' }[entry.purpose];
+  const metaParts = [purposeLabel || (entry.trigger === 'scheduled' ? 'Scheduled' : 'Manual')];
+  if (entry.startDate && entry.endDate) {
+    metaParts.push(`${formatShortDate(entry.startDate)} – ${formatShortDate(entry.endDate)}`);
+  }
+  if (entry.durationMs > 0) {
+    metaParts.push(formatDuration(entry.durationMs));
+  }
+  meta.textContent = metaParts.join(' · ');
+
+  const summary = document.createElement('div');
+  summary.className = 'history-item-summary';
+  if (entry.error) {
+    summary.textContent = entry.error;
+    summary.classList.toggle('error', entry.status === 'error');
+  } else if (entry.counts) {
+    summary.textContent = formatSyncResult(entry.counts);
+  } else {
+    summary.textContent = 'No receipts found for this date range.';
+  }
+
+  item.append(header, meta, summary);
+  return item;
+}
+
+/**
+ * Show the sync history view
+ */
+async function showHistory() {
+  elements.mainView.classList.add('hidden');
+  elements.historyView.classList.remove('hidden');
+
+  try {
+    const { history } = await sendMessage({ action: 'getSyncHistory' });
+    elements.historyList.replaceChildren(...history.map(renderHistoryEntry));
+    elements.historyEmpty.classList.toggle('hidden', history.length > 0);
+  } catch (err) {
+    console.error('Failed to load sync history:', err);
+    elements.historyList.replaceChildren();
+    elements.historyEmpty.textContent = `Could not load history: ${err.message}`;
+    elements.historyEmpty.classList.remove('hidden');
+  }
+}
+
+/**
+ * Return from the sync history view
+ */
+function hideHistory() {
+  elements.historyView.classList.add('hidden');
+  elements.mainView.classList.remove('hidden');
+}
+
 /**
  * Handle WarehouseMeals connect
  */
@@ -207,25 +501,241 @@ async function handleWMDisconnect() {
   }
 }
 
+/**
+ * Read the chosen date range as fields for a sync or export request.
+ * Shows an error and returns null if a custom range is incomplete.
+ */
+function getSelectedRange() {
+  const range = elements.dateRange.value;
+  const today = new Date().toISOString().split('T')[0];
+
+  // Full history: the background walks back as far as its backfill limit
+  if (range === 'all') {
+    return { backfill: true, endDate: today };
+  }
+
+  if (range === 'custom') {
+    const startDate = elements.startDate.value;
+    const endDate = elements.endDate.value;
+
+    if (!startDate || !endDate) {
+      showSyncResult('Please choose a start and end date.', 'error');
+      return null;
+    }
+    if (startDate > endDate) {
+      showSyncResult('The start date must be on or before the end date.', 'error');
+      return null;
+    }
+
+    return { startDate, endDate };
+  }
+
+  const days = parseInt(range, 10);
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  return { startDate, endDate: today };
+}
+
 /**
  * Handle sync
  */
 async function handleSync() {
+  const range = getSelectedRange();
+  if (range) {
+    await runSync({ action: 'syncReceipts', ...range });
+  }
+}
+
+/**
+ * Handle export: fetch receipts and download them instead of uploading
+ */
+async function handleExport() {
+  const range = getSelectedRange();
+  if (range) {
+    await runSync({ action: 'exportReceipts', ...range });
+  }
+}
+
+/**
+ * Show the start/end pickers when "Custom range" is chosen
+ */
+function handleDateRangeChange() {
+  const custom = elements.dateRange.value === 'custom';
+  elements.customRange.classList.toggle('hidden', !custom);
+
+  if (custom && !elements.endDate.value) {
+    const today = new Date().toISOString().split('T')[0];
+    elements.endDate.value = today;
+    elements.startDate.value = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    elements.startDate.max = today;
+    elements.endDate.max = today;
+  }
+}
+
+/**
+ * Handle resuming an interrupted sync
+ */
+async function handleResume() {
+  elements.resumeSync.classList.add('hidden');
+  elements.syncOptions.classList.remove('hidden');
+  await runSync({ action: 'resumeSync' });
+}
+
+/**
+ * Handle uploading (or exporting) the receipts a cancelled sync fetched
+ */
+async function handleUploadFetched() {
+  elements.resumeSync.classList.add('hidden');
+  elements.syncOptions.classList.remove('hidden');
+  await runSync({ action: 'finishCancelledSync' });
+}
+
+/**
+ * Handle copying the Costco API change diagnostics to the clipboard
+ */
+async function handleCopyDiagnostics() {
+  try {
+    const diagnostics = await sendMessage({ action: 'getDiagnostics' });
+    await navigator.clipboard.writeText(JSON.stringify(diagnostics, null, 2));
+    elements.copyDiagnosticsBtn.textContent = 'Copied';
+  } catch (err) {
+    console.error('Failed to copy diagnostics:', err);
+    showSyncResult(`Failed to copy diagnostics: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Handle dismissing the Costco API change notice
+ */
+async function handleDismissDiagnostics() {
+  try {
+    await sendMessage({ action: 'clearDiagnostics' });
+    elements.driftNotice.classList.add('hidden');
+  } catch (err) {
+    console.error('Failed to dismiss diagnostics:', err);
+  }
+}
+
+/**
+ * Show how many receipts are waiting to upload, if any
+ */
+function updateUploadQueueUI(count, syncInProgress) {
+  elements.uploadQueue.classList.toggle('hidden', !(count > 0));
+  if (count > 0) {
+    elements.uploadQueueText.textContent = `${count} receipt${count === 1 ? '' : 's'} waiting to upload - WarehouseMeals couldn't be reached. They'll be retried automatically.`;
+    elements.flushQueueBtn.disabled = !!syncInProgress;
+  }
+}
+
+/**
+ * Handle uploading the queued receipts now
+ */
+async function handleFlushQueue() {
+  try {
+    elements.flushQueueBtn.disabled = true;
+    elements.flushQueueBtn.textContent = 'Uploading...';
+
+    const result = await sendMessage({ action: 'flushUploadQueue' });
+
+    if (result.busy) {
+      showSyncResult('Receipts are already being uploaded.', 'warning');
+    } else if (result.remaining > 0) {
+      showSyncResult('Could not reach WarehouseMeals. Check your connection and try again.', 'warning');
+    } else {
+      showSyncResult(formatSyncResult(result), getSyncResultType(result));
+    }
+    updateUploadQueueUI(result.remaining, false);
+  } catch (err) {
+    console.error('Failed to upload queued receipts:', err);
+    showSyncResult(err.message, 'error');
+    elements.flushQueueBtn.disabled = false;
+  } finally {
+    elements.flushQueueBtn.textContent = 'Upload Now';
+  }
+}
+
+/**
+ * Show how many receipts were excluded on the review page, if any
+ */
+function updateExcludedReceiptsUI(count) {
+  elements.excludedReceipts.classList.toggle('hidden', !(count > 0));
+  if (count > 0) {
+    elements.excludedReceiptsText.textContent = `${count} receipt${count === 1 ? ' was' : 's were'} excluded on the review page and won't be synced.`;
+  }
+}
+
+/**
+ * Handle letting excluded receipts sync again
+ */
+async function handleClearExcluded() {
+  try {
+    elements.clearExcludedBtn.disabled = true;
+    await sendMessage({ action: 'clearExcludedReceipts' });
+    updateExcludedReceiptsUI(0);
+    showSyncResult('Excluded receipts will be included in the next sync.');
+  } catch (err) {
+    console.error('Failed to clear excluded receipts:', err);
+    showSyncResult(err.message, 'error');
+  } finally {
+    elements.clearExcludedBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle opening the page for importing a receipt file
+ */
+function handleImportFile() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('import/import.html') });
+}
+
+/**
+ * Handle opening the review page for fetched receipts
+ */
+function handleReview() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('review/review.html') });
+}
+
+/**
+ * Handle cancelling a running sync
+ */
+async function handleCancel() {
+  try {
+    elements.cancelBtn.disabled = true;
+    elements.cancelBtn.textContent = 'Cancelling...';
+    await sendMessage({ action: 'cancelSync' });
+  } catch (err) {
+    console.error('Failed to cancel sync:', err);
+  }
+}
+
+/**
+ * Handle discarding an interrupted sync
+ */
+async function handleDiscard() {
+  try {
+    await sendMessage({ action: 'discardSync' });
+  } catch (err) {
+    console.error('Failed to discard sync:', err);
+    showSyncResult(err.message, 'error');
+  }
+  await refreshStatus();
+}
+
+/**
+ * Send a sync request and show its result
+ */
+async function runSync(message) {
   try {
     hideSyncResult();
     setSyncLoading(true);
 
-    const days = parseInt(elements.dateRange.value, 10);
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const result = await sendMessage(message);
 
-    const result = await sendMessage({
-      action: 'syncReceipts',
-      startDate,
-      endDate,
-    });
-
-    if (result.message) {
+    if (result.awaitingReview) {
+      showSyncResult(`Fetched ${result.fetched} receipts. Review them before they're uploaded.`, 'success');
+    } else if (result.cancelled) {
+      const uploaded = result.imported > 0 ? ` ${result.imported} receipts were already imported.` : '';
+      showSyncResult(`Sync cancelled.${uploaded}`, 'warning');
+    } else if (result.message) {
       // Simple message (e.g. "No receipts found")
       showSyncResult(result.message, 'success');
     } else {
@@ -241,6 +751,32 @@ async function handleSync() {
   }
 }
 
+/**
+ * Handle auto-sync frequency change
+ */
+async function handleAutoSyncChange() {
+  try {
+    await sendMessage({ action: 'setAutoSync', frequency: elements.autoSync.value });
+  } catch (err) {
+    console.error('Failed to update auto-sync:', err);
+    showSyncResult(`Failed to update auto-sync: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Handle a settings checkbox change
+ */
+async function handleSettingChange(event) {
+  const toggle = event.target;
+  try {
+    await sendMessage({ action: 'updateSettings', settings: { [toggle.dataset.setting]: toggle.checked } });
+  } catch (err) {
+    console.error('Failed to update setting:', err);
+    toggle.checked = !toggle.checked;
+    showSyncResult(`Failed to update setting: ${err.message}`, 'error');
+  }
+}
+
 /**
  * Handle progress updates from the background script
  */
@@ -274,6 +810,22 @@ async function init() {
   elements.wmConnectBtn.addEventListener('click', handleWMConnect);
   elements.wmDisconnectBtn.addEventListener('click', handleWMDisconnect);
   elements.syncBtn.addEventListener('click', handleSync);
+  elements.exportBtn.addEventListener('click', handleExport);
+  elements.importFileBtn.addEventListener('click', handleImportFile);
+  elements.copyDiagnosticsBtn.addEventListener('click', handleCopyDiagnostics);
+  elements.dismissDiagnosticsBtn.addEventListener('click', handleDismissDiagnostics);
+  elements.flushQueueBtn.addEventListener('click', handleFlushQueue);
+  elements.clearExcludedBtn.addEventListener('click', handleClearExcluded);
+  elements.resumeBtn.addEventListener('click', handleResume);
+  elements.uploadFetchedBtn.addEventListener('click', handleUploadFetched);
+  elements.reviewBtn.addEventListener('click', handleReview);
+  elements.discardBtn.addEventListener('click', handleDiscard);
+  elements.cancelBtn.addEventListener('click', handleCancel);
+  elements.dateRange.addEventListener('change', handleDateRangeChange);
+  elements.autoSync.addEventListener('change', handleAutoSyncChange);
+  elements.settingToggles.forEach((toggle) => toggle.addEventListener('change', handleSettingChange));
+  elements.historyBtn.addEventListener('click', showHistory);
+  elements.historyBack.addEventListener('click', hideHistory);
 
   // Listen for progress updates from background script
   chrome.runtime.onMessage.addListener((message) => {
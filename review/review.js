@@ -0,0 +1,235 @@
+/**
+ * WarehouseMeals Chrome Extension - Receipt Review Page
+ *
+ * Lists the receipts a sync fetched when "Review receipts before upload" is
+ * on, and lets the user leave out whole receipts or single items before
+ * anything is sent to WarehouseMeals.
+ */
+
+// DOM Elements
+const elements = {
+  count: document.getElementById('review-count'),
+  result: document.getElementById('review-result'),
+  list: document.getElementById('review-list'),
+  actions: document.getElementById('review-actions'),
+  uploadBtn: document.getElementById('upload-btn'),
+  discardBtn: document.getElementById('discard-btn'),
+};
+
+/**
+ * Send message to background script
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (response?.error) {
+        reject(new Error(response.error));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Show a result message
+ */
+function showResult(message, type = 'success') {
+  elements.result.textContent = message;
+  elements.result.className = `sync-result ${type}`;
+  elements.result.classList.remove('hidden');
+}
+
+/**
+ * Format an amount from a receipt, e.g. "12.99"
+ */
+function formatAmount(amount) {
+  const number = Number(amount);
+  return Number.isFinite(number) ? number.toFixed(2) : '';
+}
+
+/**
+ * Build a labelled checkbox
+ */
+function createCheckbox(text, checked = true) {
+  const label = document.createElement('label');
+  label.className = 'checkbox';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+
+  const span = document.createElement('span');
+  span.textContent = text;
+
+  label.append(input, span);
+  return { label, input };
+}
+
+/**
+ * Build the list item for one receipt, with a checkbox per item
+ */
+function renderReceipt(receipt) {
+  const item = document.createElement('li');
+  item.className = 'review-receipt';
+  item.dataset.barcode = receipt.transactionBarcode;
+
+  const header = document.createElement('div');
+  header.className = 'review-receipt-header';
+
+  const date = receipt.transactionDateTime ? new Date(receipt.transactionDateTime).toLocaleDateString() : 'Unknown date';
+  const { label, input } = createCheckbox(`${date} · ${receipt.warehouseName || 'Costco'}`);
+  label.classList.add('review-receipt-title');
+  input.classList.add('receipt-toggle');
+
+  const total = document.createElement('span');
+  total.className = 'review-receipt-meta';
+  total.textContent = formatAmount(receipt.total);
+
+  header.append(label, total);
+  item.append(header);
+
+  const meta = document.createElement('div');
+  meta.className = 'review-receipt-meta';
+  const kind = { fuel: 'Gas station', return: 'Return' }[receipt.receiptType] || (receipt.orderType === 'online' ? 'Online order' : 'Warehouse');
+  meta.textContent = `${kind} · ${receipt.items.length} item${receipt.items.length === 1 ? '' : 's'} · ${receipt.transactionBarcode}`;
+  item.append(meta);
+
+  // Fuel lines aren't catalog items, so they can only be kept or dropped as a whole
+  if (receipt.items.length > 0 && receipt.receiptType !== 'fuel') {
+    const details = document.createElement('details');
+    details.className = 'review-items';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Items';
+
+    const list = document.createElement('ul');
+    for (const receiptItem of receipt.items) {
+      const row = document.createElement('li');
+      const { label: itemLabel, input: itemInput } = createCheckbox(receiptItem.description || receiptItem.itemNumber);
+      itemInput.classList.add('item-toggle');
+      itemInput.dataset.index = receiptItem.index;
+
+      const amount = document.createElement('span');
+      amount.className = 'review-item-amount';
+      amount.textContent = receiptItem.discountAmount
+        ? `${formatAmount(receiptItem.amount - receiptItem.discountAmount)} (saved ${formatAmount(receiptItem.discountAmount)})`
+        : formatAmount(receiptItem.amount);
+      itemLabel.append(amount);
+
+      row.append(itemLabel);
+      list.append(row);
+    }
+
+    details.append(summary, list);
+    item.append(details);
+  }
+
+  input.addEventListener('change', () => {
+    item.classList.toggle('excluded', !input.checked);
+    item.querySelectorAll('.item-toggle').forEach((toggle) => {
+      toggle.disabled = !input.checked;
+    });
+    updateCount();
+  });
+
+  return item;
+}
+
+/**
+ * Show how many receipts are selected
+ */
+function updateCount() {
+  const toggles = [...elements.list.querySelectorAll('.receipt-toggle')];
+  const selected = toggles.filter((toggle) => toggle.checked).length;
+  elements.count.textContent = `${selected} of ${toggles.length} selected`;
+}
+
+/**
+ * Collect the approved receipts and their excluded items
+ */
+function collectDecisions() {
+  return [...elements.list.querySelectorAll('.review-receipt')]
+    .filter((item) => item.querySelector('.receipt-toggle').checked)
+    .map((item) => ({
+      transactionBarcode: item.dataset.barcode,
+      excludedItems: [...item.querySelectorAll('.item-toggle')]
+        .filter((toggle) => !toggle.checked)
+        .map((toggle) => Number(toggle.dataset.index)),
+    }));
+}
+
+/**
+ * Disable the page once the review has been submitted or discarded
+ */
+function finishReview() {
+  elements.actions.classList.add('hidden');
+  elements.list.querySelectorAll('input').forEach((input) => {
+    input.disabled = true;
+  });
+}
+
+/**
+ * Handle uploading the selected receipts
+ */
+async function handleUpload() {
+  try {
+    elements.uploadBtn.disabled = true;
+    elements.discardBtn.disabled = true;
+    elements.uploadBtn.textContent = 'Uploading...';
+
+    const result = await sendMessage({ action: 'submitReview', decisions: collectDecisions() });
+    const failed = (result.errors || 0) + (result.uploadFailed || 0);
+
+    finishReview();
+    showResult(
+      `${result.imported} imported, ${result.duplicates} already synced, ${result.excluded} excluded` +
+      (failed > 0 ? `, ${failed} failed.` : '.'),
+      failed > 0 ? 'warning' : 'success'
+    );
+  } catch (err) {
+    console.error('Upload failed:', err);
+    showResult(err.message, 'error');
+    elements.uploadBtn.disabled = false;
+    elements.discardBtn.disabled = false;
+    elements.uploadBtn.textContent = 'Upload Selected';
+  }
+}
+
+/**
+ * Handle discarding every fetched receipt
+ */
+async function handleDiscard() {
+  try {
+    await sendMessage({ action: 'discardSync' });
+    finishReview();
+    showResult('Discarded. Nothing was uploaded.', 'warning');
+  } catch (err) {
+    console.error('Discard failed:', err);
+    showResult(err.message, 'error');
+  }
+}
+
+/**
+ * Initialize review page
+ */
+async function init() {
+  elements.uploadBtn.addEventListener('click', handleUpload);
+  elements.discardBtn.addEventListener('click', handleDiscard);
+
+  try {
+    const { receipts } = await sendMessage({ action: 'getReviewReceipts' });
+    elements.list.replaceChildren(...receipts.map(renderReceipt));
+    updateCount();
+  } catch (err) {
+    finishReview();
+    showResult(err.message, 'error');
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
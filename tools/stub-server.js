@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * WarehouseMeals stand-in for fixture mode and local testing.
+ *
+ * Answers the endpoints the extension uses, keeping imported receipts in
+ * memory, so a sync can run end to end without a WarehouseMeals account.
+ * No dependencies - run it with Node 18 or later:
+ *
+ *   node tools/stub-server.js [--port 8787] [--fail-imports 503]
+ *
+ * Then point the extension at it (in the background's DevTools console):
+ *
+ *   chrome.storage.local.set({ warehouseMealsUrlOverride: 'http://localhost:8787' })
+ *
+ * and click Connect in the popup - the stub signs you in straight away.
+ *
+ * --fail-imports answers every import with the given status, to try out
+ * upload retries (stop the server instead to try the offline queue). Besides the extension's endpoints:
+ *   GET  /stub/receipts  lists the receipts imported so far
+ *   POST /stub/reset     forgets them
+ */
+
+'use strict';
+
+const http = require('node:http');
+
+/**
+ * Reads `--name value` from the command line.
+ */
+function getOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const PORT = Number(getOption('port', 8787));
+const FAIL_IMPORTS = getOption('fail-imports', null);
+const TOKEN = 'stub-token';
+
+// Imported receipts by transaction barcode
+const receipts = new Map();
+
+/**
+ * Sends a JSON response. The extension calls from its own origin, so
+ * every response allows cross-origin requests.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body.
+ */
+async function readJson(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+  }
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Records an import the way WarehouseMeals reports it: new receipts are
+ * imported, ones it already has are duplicates, and receipts without a
+ * barcode or date come back as errors.
+ */
+function importReceipts(batch) {
+  const result = { imported: 0, duplicates: 0, skipped: 0, errors: [] };
+
+  for (const receipt of batch) {
+    if (!receipt?.transactionBarcode || !receipt.transactionDateTime) {
+      result.errors.push({ transactionBarcode: receipt?.transactionBarcode ?? null, message: 'Missing barcode or date' });
+    } else if (receipts.has(receipt.transactionBarcode)) {
+      result.duplicates++;
+    } else {
+      receipts.set(receipt.transactionBarcode, receipt);
+      result.imported++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Handles one request.
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Accept, Authorization, Content-Type',
+    });
+    res.end();
+    return;
+  }
+
+  // Sign-in: hand the token straight back to the extension
+  if (req.method === 'GET' && url.pathname === '/auth/extension/authorize') {
+    const redirect = new URL(url.searchParams.get('redirect_uri'));
+    redirect.searchParams.set('token', TOKEN);
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/stub/receipts' && req.method === 'GET') {
+    sendJson(res, 200, { receipts: [...receipts.values()] });
+    return;
+  }
+  if (url.pathname === '/stub/reset' && req.method === 'POST') {
+    receipts.clear();
+    sendJson(res, 200, { success: true });
+    return;
+  }
+
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJson(res, 401, { message: 'Unauthenticated.' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/user') {
+    sendJson(res, 200, { id: 1, name: 'Demo User', email: 'demo@example.com' });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/receipts/existing') {
+    const { barcodes = [] } = await readJson(req);
+    sendJson(res, 200, { existing: barcodes.filter((barcode) => receipts.has(barcode)) });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/receipts/import') {
+    if (FAIL_IMPORTS) {
+      sendJson(res, Number(FAIL_IMPORTS), { message: `Stub server is failing imports with ${FAIL_IMPORTS}` });
+      return;
+    }
+    const { receipts: batch = [] } = await readJson(req);
+    const result = importReceipts(batch);
+    console.log(`Imported ${result.imported}, ${result.duplicates} duplicate(s), ${result.errors.length} error(s)`);
+    sendJson(res, 200, result);
+    return;
+  }
+
+  sendJson(res, 404, { message: 'Not found' });
+}
+
+http.createServer((req, res) => {
+  handleRequest(req, res).catch((err) => {
+    console.error(err);
+    sendJson(res, 400, { message: err.message });
+  });
+}).listen(PORT, () => {
+  console.log(`WarehouseMeals stub server listening on http://localhost:${PORT}`);
+});